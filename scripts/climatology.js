@@ -0,0 +1,58 @@
+/* --- START OF FILE climatology.js --- */
+
+// Baseline climatology shared by the data worker and the main thread (no d3 here).
+// A baseline period is { startYear, endYear } (inclusive).
+
+export const DEFAULT_BASELINE = { startYear: 2015, endYear: 2015 };
+
+// Timestamps ("YYYY-MM-DD HH:mm:ss") that fall inside the baseline period
+export function baselineDates(timePoints, { startYear, endYear }) {
+  return timePoints.filter(dateStr => {
+    const year = +dateStr.slice(0, 4);
+    return year >= startYear && year <= endYear;
+  });
+}
+
+// Per-month mean over the baseline years: { "01": Float32Array, ..., "12": Float32Array }.
+// NaN values are skipped per grid point; months with no frames are left out.
+export function computeBaseline(temperatures, timePoints, period) {
+  const sums = {};
+  const counts = {};
+
+  baselineDates(timePoints, period).forEach(dateStr => {
+    const frame = temperatures[dateStr];
+    if (!frame) return;
+
+    const month = dateStr.split('-')[1];
+    if (!sums[month]) {
+      sums[month] = new Float64Array(frame.length);
+      counts[month] = new Uint16Array(frame.length);
+    }
+
+    const sum = sums[month];
+    const count = counts[month];
+    for (let i = 0; i < frame.length; i++) {
+      const v = frame[i];
+      if (!Number.isNaN(v)) {
+        sum[i] += v;
+        count[i]++;
+      }
+    }
+  });
+
+  const baseline = {};
+  Object.keys(sums).forEach(month => {
+    const sum = sums[month];
+    const count = counts[month];
+    const mean = new Float32Array(sum.length);
+    for (let i = 0; i < sum.length; i++) {
+      mean[i] = count[i] ? sum[i] / count[i] : NaN;
+    }
+    baseline[month] = mean;
+  });
+  return baseline;
+}
+
+export function formatBaseline({ startYear, endYear }) {
+  return startYear === endYear ? `${startYear}` : `${startYear}–${endYear}`;
+}
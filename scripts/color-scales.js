@@ -0,0 +1,39 @@
+/* --- START OF FILE color-scales.js --- */
+
+// Colormaps for the heatmap and the auto-range helper. Each colormap pairs a
+// sequential palette (absolute temperatures) with a diverging one (anomalies,
+// differences, trends); all of them stay readable with common color-vision deficiencies.
+
+export const COLORMAPS = {
+  inferno: { label: 'Inferno / Red–Blue', sequential: d3.interpolateInferno, diverging: d3.interpolateRdBu },
+  viridis: { label: 'Viridis / Purple–Orange', sequential: d3.interpolateViridis, diverging: d3.interpolatePuOr },
+  cividis: { label: 'Cividis / Brown–Teal', sequential: d3.interpolateCividis, diverging: d3.interpolateBrBG },
+  magma: { label: 'Magma / Pink–Green', sequential: d3.interpolateMagma, diverging: d3.interpolatePiYG }
+};
+
+// Percentiles kept inside the color scale by the auto range (outliers saturate)
+export const AUTO_RANGE_PERCENTILES = [0.02, 0.98];
+
+// Sequential scale over [low, high], or diverging scale centred on 0 with
+// positive values on the warm (index 0) end of the palette
+export function createColorScale(colormap, diverging, [low, high]) {
+  const { sequential, diverging: divergingInterpolator } = COLORMAPS[colormap] || COLORMAPS.inferno;
+  return diverging
+    ? d3.scaleSequential(divergingInterpolator).domain([high, low])
+    : d3.scaleSequential(sequential).domain([low, high]);
+}
+
+// [low, high] between the auto-range percentiles of the finite values, symmetric
+// around 0 for diverging scales. null if there is nothing to fit.
+export function percentileRange(values, diverging) {
+  const finite = Float32Array.from(values).filter(Number.isFinite).sort();
+  if (!finite.length) return null;
+
+  const low = d3.quantileSorted(finite, AUTO_RANGE_PERCENTILES[0]);
+  const high = d3.quantileSorted(finite, AUTO_RANGE_PERCENTILES[1]);
+  if (diverging) {
+    const extent = Math.max(Math.abs(low), Math.abs(high));
+    return extent > 0 ? [-extent, extent] : null;
+  }
+  return high > low ? [low, high] : null;
+}
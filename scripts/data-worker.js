@@ -0,0 +1,368 @@
+/* --- START OF FILE data-worker.js --- */
+
+// Module worker that downloads, unzips, parses and projects the temperature
+// dataset off the main thread.
+//
+// In:  { type: 'load', url, projection: { scale, translate }, baseline: { startYear, endYear } }
+//      { type: 'frames', requestId, indices }            (binary datasets only)
+// Out: { type: 'progress', stage, loaded, total, percent }
+//      { type: 'done', format, coords, screenCoords, timePoints, temperatures, baselineData }
+//      { type: 'frames', requestId, frames, error }
+//      { type: 'error', error: { code, stage, message, status } }
+//
+// Two formats are understood:
+//  - JSON ("temperature_data.json" inside the zip): { coords, temperatures | data }
+//  - Binary "TWTB" (standalone file, or "temperature_data.bin" inside the zip).
+//    Frames are decoded lazily; a standalone file is read with HTTP range requests.
+//
+// Binary layout (little-endian):
+//   0   char[4]   magic "TWTB"
+//   4   uint16    version (1)
+//   6   uint16    dtype (1 = float32, 2 = int16)
+//   8   uint32    number of grid points (P)
+//   12  uint32    number of time steps (T)
+//   16  float32   scale  } int16 only: value = raw * scale + offset,
+//   20  float32   offset }            raw -32768 = no data
+//   24  uint32    time index length in bytes (padded to a multiple of 4)
+//   28  uint32    reserved
+//   32  float32[P * 2]  coords as lon, lat pairs
+//   ..  utf-8           JSON array of T timestamps, space padded
+//   ..  T frames of P values each, in time index order
+
+import JSZip from 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm';
+import { geoEquirectangular } from 'https://cdn.jsdelivr.net/npm/d3-geo@3/+esm';
+import { DEFAULT_BASELINE, baselineDates, computeBaseline } from './climatology.js';
+
+const BINARY_MAGIC = 'TWTB';
+const BINARY_ENTRY = 'temperature_data.bin';
+const PREAMBLE_BYTES = 32;
+const DTYPE_FLOAT32 = 1;
+const DTYPE_INT16 = 2;
+const INT16_NODATA = -32768;
+
+class LoadFailure extends Error {
+  constructor(code, stage, message, status = null) {
+    super(message);
+    this.code = code;
+    this.stage = stage;
+    this.status = status;
+  }
+}
+
+// Set when a binary dataset is open: { header, timePoints, readFrames(indices) }
+let binarySource = null;
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'frames') {
+    handleFrameRequest(data);
+    return;
+  }
+  if (data.type !== 'load') return;
+
+  try {
+    await load(data);
+  } catch (err) {
+    self.postMessage({ type: 'error', error: toErrorInfo(err) });
+  }
+};
+
+async function load({ url, projection: projectionSpec, baseline = DEFAULT_BASELINE }) {
+  // 1. Download (or just the header, for a range-readable binary file)
+  const dataset = await openDataset(url);
+  const { coords, timePoints, temperatures } = dataset;
+
+  // 2. Project to screen coordinates
+  const projection = geoEquirectangular()
+    .scale(projectionSpec.scale)
+    .translate(projectionSpec.translate);
+
+  const screenCoords = coords.map(d => {
+    const p = projection(d);
+    return p ? { x: p[0], y: p[1] } : null;
+  });
+
+  // 3. Baseline climatology (per-month mean over the baseline years)
+  if (dataset.format === 'binary') {
+    const baselineIndices = baselineDates(timePoints, baseline).map(d => timePoints.indexOf(d));
+    Object.assign(temperatures, await binarySource.readFrames(baselineIndices));
+  }
+  const baselineData = computeBaseline(temperatures, timePoints, baseline);
+
+  self.postMessage(
+    { type: 'done', format: dataset.format, coords, screenCoords, timePoints, temperatures, baselineData },
+    transferList({ ...temperatures, ...baselineData })
+  );
+}
+
+async function openDataset(url) {
+  // Ask for the preamble only; servers without range support answer with the whole file
+  const probe = await request(url, { headers: { Range: `bytes=0-${PREAMBLE_BYTES - 1}` } });
+
+  if (probe.status === 206) {
+    const preamble = await probe.arrayBuffer();
+    if (isBinary(preamble)) return openRangedBinary(url, preamble);
+    return readArchive(await download(await request(url)));
+  }
+  return readArchive(await download(probe));
+}
+
+async function readArchive(buffer) {
+  if (isBinary(buffer)) return openMemoryBinary(buffer);
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new LoadFailure('UNZIP', 'unzip', `Not a valid zip archive: ${err.message}`);
+  }
+
+  const binFile = zip.file(BINARY_ENTRY);
+  if (binFile) {
+    const binBuffer = await binFile.async("arraybuffer", meta => {
+      postProgress('unzip', meta.percent, 100);
+    });
+    return openMemoryBinary(binBuffer);
+  }
+
+  const jsonFile = zip.file("temperature_data.json") || zip.file("optimized_data.json");
+  if (!jsonFile) throw new LoadFailure('MISSING_ENTRY', 'unzip', "JSON data not found in zip");
+
+  const jsonString = await jsonFile.async("string", meta => {
+    postProgress('unzip', meta.percent, 100);
+  });
+  return parseJson(jsonString);
+}
+
+function parseJson(jsonString) {
+  postProgress('parse', 0, 100);
+  let parsedData;
+  try {
+    parsedData = JSON.parse(jsonString);
+  } catch (err) {
+    throw new LoadFailure('PARSE', 'parse', `Invalid JSON: ${err.message}`);
+  }
+
+  const coords = parsedData.coords;
+  const rawTemperatures = parsedData.temperatures || parsedData.data;
+  if (!Array.isArray(coords) || !rawTemperatures) {
+    throw new LoadFailure('PARSE', 'parse', "Expected 'coords' and 'temperatures' (or 'data') keys");
+  }
+
+  // Typed arrays transfer without copying; null becomes NaN
+  const timePoints = Object.keys(rawTemperatures).sort();
+  const temperatures = {};
+  timePoints.forEach((dateStr, i) => {
+    temperatures[dateStr] = Float32Array.from(rawTemperatures[dateStr], v => (v === null ? NaN : v));
+    if (i % 12 === 0) postProgress('parse', i + 1, timePoints.length);
+  });
+  postProgress('parse', timePoints.length, timePoints.length);
+
+  return { format: 'json', coords, timePoints, temperatures };
+}
+
+// --- Binary Format ---
+
+function isBinary(buffer) {
+  if (buffer.byteLength < 4) return false;
+  return String.fromCharCode(...new Uint8Array(buffer, 0, 4)) === BINARY_MAGIC;
+}
+
+function parsePreamble(buffer) {
+  const view = new DataView(buffer, 0, PREAMBLE_BYTES);
+  const header = {
+    version: view.getUint16(4, true),
+    dtype: view.getUint16(6, true),
+    nPoints: view.getUint32(8, true),
+    nTimes: view.getUint32(12, true),
+    scale: view.getFloat32(16, true),
+    offset: view.getFloat32(20, true),
+    timeIndexBytes: view.getUint32(24, true)
+  };
+
+  if (header.version !== 1 || ![DTYPE_FLOAT32, DTYPE_INT16].includes(header.dtype)) {
+    throw new LoadFailure('PARSE', 'parse', `Unsupported binary format (version ${header.version}, dtype ${header.dtype})`);
+  }
+
+  header.bytesPerValue = header.dtype === DTYPE_INT16 ? 2 : 4;
+  header.frameBytes = header.nPoints * header.bytesPerValue;
+  header.coordsOffset = PREAMBLE_BYTES;
+  header.timeIndexOffset = PREAMBLE_BYTES + header.nPoints * 8;
+  header.dataOffset = header.timeIndexOffset + header.timeIndexBytes;
+  return header;
+}
+
+// `buffer` holds at least the first header.dataOffset bytes of the file
+function parseIndex(buffer, header) {
+  const flat = new Float32Array(buffer.slice(header.coordsOffset, header.timeIndexOffset));
+  const coords = new Array(header.nPoints);
+  for (let i = 0; i < header.nPoints; i++) {
+    coords[i] = [flat[i * 2], flat[i * 2 + 1]];
+  }
+
+  const indexBytes = new Uint8Array(buffer, header.timeIndexOffset, header.timeIndexBytes);
+  let timePoints;
+  try {
+    timePoints = JSON.parse(new TextDecoder().decode(indexBytes));
+  } catch (err) {
+    throw new LoadFailure('PARSE', 'parse', `Invalid time index: ${err.message}`);
+  }
+  if (timePoints.length !== header.nTimes) {
+    throw new LoadFailure('PARSE', 'parse', `Time index has ${timePoints.length} entries, header says ${header.nTimes}`);
+  }
+
+  return { coords, timePoints };
+}
+
+// Decodes one frame starting at byteOffset of buffer into a Float32Array
+function decodeFrame(buffer, byteOffset, header) {
+  const copy = buffer.slice(byteOffset, byteOffset + header.frameBytes);
+  if (header.dtype === DTYPE_FLOAT32) return new Float32Array(copy);
+
+  const raw = new Int16Array(copy);
+  const frame = new Float32Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    frame[i] = raw[i] === INT16_NODATA ? NaN : raw[i] * header.scale + header.offset;
+  }
+  return frame;
+}
+
+function openMemoryBinary(buffer) {
+  postProgress('parse', 0, 100);
+  const header = parsePreamble(buffer);
+  const { coords, timePoints } = parseIndex(buffer, header);
+
+  if (buffer.byteLength < header.dataOffset + header.nTimes * header.frameBytes) {
+    throw new LoadFailure('PARSE', 'parse', 'Binary file is truncated');
+  }
+
+  binarySource = {
+    header,
+    timePoints,
+    readFrames: async indices => {
+      const frames = {};
+      indices.forEach(i => {
+        frames[timePoints[i]] = decodeFrame(buffer, header.dataOffset + i * header.frameBytes, header);
+      });
+      return frames;
+    }
+  };
+  postProgress('parse', 100, 100);
+
+  return { format: 'binary', coords, timePoints, temperatures: {} };
+}
+
+async function openRangedBinary(url, preamble) {
+  const header = parsePreamble(preamble);
+
+  const headResponse = await request(url, { headers: { Range: `bytes=0-${header.dataOffset - 1}` } });
+  const headBuffer = await download(headResponse);
+  const { coords, timePoints } = parseIndex(headBuffer, header);
+
+  binarySource = {
+    header,
+    timePoints,
+    readFrames: async indices => {
+      const frames = {};
+      // One range request per run of consecutive frames
+      for (const [first, last] of consecutiveRuns(indices)) {
+        const start = header.dataOffset + first * header.frameBytes;
+        const end = header.dataOffset + (last + 1) * header.frameBytes - 1;
+        const response = await request(url, { headers: { Range: `bytes=${start}-${end}` } });
+        if (response.status !== 206) {
+          throw new LoadFailure('HTTP', 'frames', `Expected a partial response, got ${response.status}`, response.status);
+        }
+        const runBuffer = await response.arrayBuffer();
+        for (let i = first; i <= last; i++) {
+          frames[timePoints[i]] = decodeFrame(runBuffer, (i - first) * header.frameBytes, header);
+        }
+      }
+      return frames;
+    }
+  };
+
+  return { format: 'binary', coords, timePoints, temperatures: {} };
+}
+
+async function handleFrameRequest({ requestId, indices }) {
+  try {
+    if (!binarySource) throw new LoadFailure('WORKER', 'frames', 'No binary dataset is open');
+    const frames = await binarySource.readFrames(indices);
+    self.postMessage({ type: 'frames', requestId, frames }, transferList(frames));
+  } catch (err) {
+    self.postMessage({ type: 'frames', requestId, error: toErrorInfo(err) });
+  }
+}
+
+// --- Helpers ---
+
+async function request(url, options) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (err) {
+    throw new LoadFailure('NETWORK', 'download', err.message);
+  }
+  if (!response.ok) {
+    throw new LoadFailure('HTTP', 'download', `HTTP error! status: ${response.status}`, response.status);
+  }
+  return response;
+}
+
+function consecutiveRuns(indices) {
+  const sorted = Array.from(new Set(indices)).sort((a, b) => a - b);
+  const runs = [];
+  sorted.forEach(i => {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === i - 1) last[1] = i;
+    else runs.push([i, i]);
+  });
+  return runs;
+}
+
+function transferList(frames) {
+  return [...new Set(Object.values(frames).map(arr => arr.buffer))];
+}
+
+function toErrorInfo(err) {
+  return {
+    code: err.code || 'UNKNOWN',
+    stage: err.stage || 'unknown',
+    message: err.message,
+    status: err.status ?? null
+  };
+}
+
+async function download(response) {
+  const total = +response.headers.get('Content-Length') || 0;
+  if (!response.body) return response.arrayBuffer();
+
+  // Stream the body so we can report bytes downloaded
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    postProgress('download', loaded, total);
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes.buffer;
+}
+
+function postProgress(stage, loaded, total) {
+  self.postMessage({
+    type: 'progress',
+    stage,
+    loaded,
+    total,
+    percent: total ? Math.min(100, (loaded / total) * 100) : null
+  });
+}
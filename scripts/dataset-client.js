@@ -0,0 +1,149 @@
+/* --- START OF FILE dataset-client.js --- */
+
+// Main-thread side of data-worker.js.
+// Every opened dataset (one scenario/model) owns its own worker; binary
+// datasets keep it alive afterwards to serve frames on demand.
+
+// Structured loading error
+// code: NETWORK | HTTP | UNZIP | MISSING_ENTRY | PARSE | CANCELLED | WORKER | GRID_MISMATCH
+export class DataLoadError extends Error {
+  constructor({ code, stage, message, status = null }) {
+    super(message);
+    this.name = 'DataLoadError';
+    this.code = code;
+    this.stage = stage;
+    this.status = status;
+  }
+}
+
+/**
+ * Starts loading a manifest entry ({ id, label, url, ... }).
+ * Returns { ready, cancel }: `ready` resolves with the dataset:
+ *   { ...entry, format, coords, screenCoords, timePoints, temperatures,
+ *     baselineData, baselinePeriod, ensureFrames(dateStrs), ensureAllFrames(), close() }
+ */
+export function openDataset(entry, { projection, baseline, onProgress = () => {} }) {
+  const worker = new Worker(new URL('./data-worker.js', import.meta.url), { type: 'module' });
+  const framePromises = new Map();   // date -> pending request
+  const frameRequests = new Map();   // request id -> { resolve, reject }
+  let frameRequestCounter = 0;
+  let workerAlive = true;
+  let rejectLoad = null;
+  let dataset = null;
+
+  function close() {
+    if (!workerAlive) return;
+
+    worker.terminate();
+    workerAlive = false;
+    frameRequests.forEach(({ reject }) => {
+      reject(new DataLoadError({ code: 'CANCELLED', stage: 'frames', message: 'Data worker stopped' }));
+    });
+    frameRequests.clear();
+  }
+
+  const ready = new Promise((resolve, reject) => {
+    rejectLoad = reject;
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data);
+      } else if (data.type === 'done') {
+        rejectLoad = null;
+        dataset = {
+          ...entry,
+          format: data.format,
+          coords: data.coords,
+          screenCoords: data.screenCoords,
+          timePoints: data.timePoints,
+          temperatures: data.temperatures,
+          baselineData: data.baselineData,
+          baselinePeriod: baseline,
+          ensureFrames,
+          ensureAllFrames: () => ensureFrames(data.timePoints),
+          close
+        };
+        if (data.format !== 'binary') close();
+        resolve(dataset);
+      } else if (data.type === 'frames') {
+        settleFrameRequest(data);
+      } else if (data.type === 'error') {
+        close();
+        reject(new DataLoadError(data.error));
+      }
+    };
+
+    worker.onerror = event => {
+      event.preventDefault();
+      close();
+      reject(new DataLoadError({ code: 'WORKER', stage: 'worker', message: event.message || 'Worker failed to start' }));
+    };
+
+    worker.postMessage({
+      type: 'load',
+      url: entry.url,
+      projection: { scale: projection.scale(), translate: projection.translate() },
+      baseline
+    });
+  });
+
+  function cancel() {
+    if (!rejectLoad) return;
+
+    close();
+    rejectLoad(new DataLoadError({ code: 'CANCELLED', stage: 'cancelled', message: 'Loading cancelled by user' }));
+    rejectLoad = null;
+  }
+
+  // Resolves once the frames for these timestamps are in dataset.temperatures.
+  // Timestamps the dataset doesn't have are ignored.
+  function ensureFrames(dateStrs) {
+    const toFetch = [];
+    const pending = [];
+
+    dateStrs.forEach(dateStr => {
+      if (!dataset || dataset.temperatures[dateStr]) return;
+      if (framePromises.has(dateStr)) {
+        pending.push(framePromises.get(dateStr));
+      } else if (dataset.timePoints.includes(dateStr)) {
+        toFetch.push(dateStr);
+      }
+    });
+
+    if (toFetch.length) {
+      const request = requestFrames(toFetch.map(d => dataset.timePoints.indexOf(d)))
+        .finally(() => toFetch.forEach(d => framePromises.delete(d)));
+      toFetch.forEach(d => framePromises.set(d, request));
+      pending.push(request);
+    }
+
+    return Promise.all(pending);
+  }
+
+  function requestFrames(indices) {
+    if (!workerAlive) {
+      return Promise.reject(new DataLoadError({ code: 'WORKER', stage: 'frames', message: 'No data worker running' }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const requestId = ++frameRequestCounter;
+      frameRequests.set(requestId, { resolve, reject });
+      worker.postMessage({ type: 'frames', requestId, indices });
+    });
+  }
+
+  function settleFrameRequest({ requestId, frames, error }) {
+    const request = frameRequests.get(requestId);
+    if (!request) return;
+    frameRequests.delete(requestId);
+
+    if (error) {
+      request.reject(new DataLoadError(error));
+    } else {
+      Object.assign(dataset.temperatures, frames);
+      request.resolve();
+    }
+  }
+
+  return { ready, cancel };
+}
@@ -0,0 +1,46 @@
+/* --- START OF FILE export.js --- */
+
+// File downloads for the export buttons (no d3 here).
+
+// CSV text with a header row; `columns` are keys of every row object.
+// Optional comment lines (e.g. metadata) go first, prefixed with "#".
+export function toCsv(rows, columns, comments = []) {
+  const lines = comments.map(c => `# ${c}`);
+  lines.push(columns.join(','));
+  rows.forEach(row => {
+    lines.push(columns.map(col => csvField(row[col])).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Saves text content as a file through a temporary object URL
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File-name friendly version of a label ("Côte d'Ivoire" -> "cote-d-ivoire")
+export function slugify(label) {
+  return String(label)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'export';
+}
+
+function csvField(value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
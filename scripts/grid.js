@@ -0,0 +1,163 @@
+/* --- START OF FILE grid.js --- */
+
+// Geometry of the lon/lat data grid (no d3 here).
+
+const DEG = Math.PI / 180;
+
+// Averaging methods for global/regional means
+export const AVERAGING_METHODS = {
+  cell: 'Area-weighted (cell area)',
+  cosine: 'Area-weighted (cos lat)',
+  none: 'Unweighted'
+};
+
+// Smallest positive step between distinct lon/lat values of the grid
+export function gridSpacing(rawCoords) {
+  const step = values => {
+    const sorted = Array.from(new Set(values)).sort((a, b) => a - b);
+    let min = Infinity;
+    for (let i = 1; i < sorted.length; i++) {
+      const diff = sorted[i] - sorted[i - 1];
+      if (diff > 1e-6 && diff < min) min = diff;
+    }
+    return Number.isFinite(min) ? min : 1;
+  };
+
+  return {
+    dLon: step(rawCoords.map(d => d[0])),
+    dLat: step(rawCoords.map(d => d[1]))
+  };
+}
+
+// Relative weight of every grid point for the given averaging method.
+// 'cell' is the true area of the cell on the unit sphere, which differs from
+// cos(lat) near the poles where the cell is clipped at ±90°.
+export function computeAreaWeights(rawCoords, method) {
+  const weights = new Float32Array(rawCoords.length);
+
+  if (method === 'none') return weights.fill(1);
+
+  if (method === 'cosine') {
+    rawCoords.forEach(([, lat], i) => {
+      weights[i] = Math.max(0, Math.cos(lat * DEG));
+    });
+    return weights;
+  }
+
+  const { dLon, dLat } = gridSpacing(rawCoords);
+  rawCoords.forEach(([, lat], i) => {
+    const north = Math.min(90, lat + dLat / 2);
+    const south = Math.max(-90, lat - dLat / 2);
+    weights[i] = dLon * DEG * (Math.sin(north * DEG) - Math.sin(south * DEG));
+  });
+  return weights;
+}
+
+// Weighted mean of values (optionally only at `indices`), NaN values skipped
+export function weightedMean(values, weights, indices = null) {
+  let sum = 0;
+  let weightSum = 0;
+  const n = indices ? indices.length : values.length;
+
+  for (let k = 0; k < n; k++) {
+    const i = indices ? indices[k] : k;
+    const v = values[i];
+    if (Number.isNaN(v)) continue;
+    sum += v * weights[i];
+    weightSum += weights[i];
+  }
+  return weightSum > 0 ? sum / weightSum : undefined;
+}
+
+// Lookup structure for a (mostly) regular lon/lat grid: interpolation and nearest point
+export function createGridLookup(rawCoords) {
+  const normLon = lon => ((lon % 360) + 360) % 360;
+
+  const lons = Array.from(new Set(rawCoords.map(d => normLon(d[0])))).sort((a, b) => a - b);
+  const lats = Array.from(new Set(rawCoords.map(d => d[1]))).sort((a, b) => a - b);
+  const lonIndex = new Map(lons.map((v, i) => [v, i]));
+  const latIndex = new Map(lats.map((v, i) => [v, i]));
+
+  // (lat row, lon column) -> grid point index, -1 where the grid has no point
+  const cells = new Int32Array(lons.length * lats.length).fill(-1);
+  rawCoords.forEach(([lon, lat], i) => {
+    cells[latIndex.get(lat) * lons.length + lonIndex.get(normLon(lon))] = i;
+  });
+
+  const { dLon, dLat } = gridSpacing(rawCoords);
+  // Global grids wrap around in longitude
+  const wrapsLon = lons.length > 1 && 360 - (lons[lons.length - 1] - lons[0]) <= dLon * 1.5;
+
+  // Unit vectors for nearest-point search, built on first use
+  let unitVectors = null;
+
+  // [i0, i1, t]: neighbouring positions in `sorted` and the fraction between them
+  function bracket(sorted, value, wrap) {
+    const n = sorted.length;
+    let i1 = 0;
+    while (i1 < n && sorted[i1] <= value) i1++;
+    const i0 = i1 - 1;
+
+    if (i0 >= 0 && i1 < n) {
+      return [i0, i1, (value - sorted[i0]) / (sorted[i1] - sorted[i0])];
+    }
+    if (wrap) {
+      const span = sorted[0] + 360 - sorted[n - 1];
+      return [n - 1, 0, (((value - sorted[n - 1]) % 360) + 360) % 360 / span];
+    }
+    const edge = i0 < 0 ? 0 : n - 1;
+    return [edge, edge, 0];
+  }
+
+  // Bilinear interpolation weights of the (up to) four surrounding grid points
+  function bilinear(lon, lat) {
+    const [x0, x1, tx] = bracket(lons, normLon(lon), wrapsLon);
+    const [y0, y1, ty] = bracket(lats, lat, false);
+
+    const corners = [
+      [y0, x0, (1 - tx) * (1 - ty)],
+      [y0, x1, tx * (1 - ty)],
+      [y1, x0, (1 - tx) * ty],
+      [y1, x1, tx * ty]
+    ];
+
+    const merged = new Map();
+    corners.forEach(([row, col, w]) => {
+      const index = cells[row * lons.length + col];
+      if (index >= 0 && w > 0) merged.set(index, (merged.get(index) || 0) + w);
+    });
+
+    const total = Array.from(merged.values()).reduce((a, b) => a + b, 0);
+    return {
+      indices: Int32Array.from(merged.keys()),
+      weights: Float32Array.from(merged.values(), w => w / total)
+    };
+  }
+
+  // Grid point with the smallest great-circle distance
+  function nearest(lon, lat) {
+    if (!unitVectors) {
+      unitVectors = new Float64Array(rawCoords.length * 3);
+      rawCoords.forEach((coord, i) => unitVectors.set(toUnitVector(coord), i * 3));
+    }
+
+    const [qx, qy, qz] = toUnitVector([lon, lat]);
+    let best = -1;
+    let bestDot = -Infinity;
+    for (let i = 0; i < rawCoords.length; i++) {
+      const dot = qx * unitVectors[i * 3] + qy * unitVectors[i * 3 + 1] + qz * unitVectors[i * 3 + 2];
+      if (dot > bestDot) {
+        bestDot = dot;
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  return { dLon, dLat, bilinear, nearest };
+}
+
+function toUnitVector([lon, lat]) {
+  const cosLat = Math.cos(lat * DEG);
+  return [cosLat * Math.cos(lon * DEG), cosLat * Math.sin(lon * DEG), Math.sin(lat * DEG)];
+}
@@ -0,0 +1,225 @@
+/* --- START OF FILE heatmap-renderer.js --- */
+
+// Pluggable heatmap renderers.
+// Every renderer exposes the same surface so temperature-map.js can swap them:
+//   setGrid({ rawCoords, screenCoords, projection }) - precompute grid geometry (again after a projection change)
+//   draw(values, colorScale)                         - paint one frame (values[i] belongs to rawCoords[i], NaN = no data)
+//   setTransform(transform)                          - follow the d3.zoom transform
+
+import { gridSpacing } from './grid.js';
+import { visibilityTest } from './projections.js';
+
+// Offscreen raster resolution (pixels per map unit)
+const RASTER_SCALE = 2;
+// Number of colors sampled from a scale into the lookup table
+const LUT_SIZE = 256;
+
+// --- Canvas Renderer ---
+
+export function createCanvasRenderer(container, { width, height }) {
+  const canvas = d3.select(container).append('canvas')
+    .attr('id', 'heatmap-canvas')
+    .node();
+  const ctx = canvas.getContext('2d');
+
+  // The grid is rasterized once per frame into a fixed-size offscreen canvas,
+  // zooming only changes how that raster is drawn onto the visible canvas.
+  const raster = document.createElement('canvas');
+  raster.width = width * RASTER_SCALE;
+  raster.height = height * RASTER_SCALE;
+  const rasterCtx = raster.getContext('2d');
+  const imageData = rasterCtx.createImageData(raster.width, raster.height);
+  const pixels = new Uint32Array(imageData.data.buffer);
+
+  // pixel -> grid point index (-1 = no cell)
+  const pixelOwner = new Int32Array(raster.width * raster.height).fill(-1);
+  let cellColors = new Uint32Array(0);
+  let transform = d3.zoomIdentity;
+  let lutCache = { key: null, lut: null };
+
+  function resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.round(canvas.clientWidth * dpr);
+    const h = Math.round(canvas.clientHeight * dpr);
+    if (w && h && (canvas.width !== w || canvas.height !== h)) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    present();
+  }
+
+  function present() {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const s = canvas.width / width;
+    ctx.setTransform(s * transform.k, 0, 0, s * transform.k, s * transform.x, s * transform.y);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(raster, 0, 0, width, height);
+  }
+
+  function setGrid({ rawCoords, projection }) {
+    pixelOwner.fill(-1);
+    cellColors = new Uint32Array(rawCoords.length);
+
+    const { dLon, dLat } = gridSpacing(rawCoords);
+    const maxCellWidth = width / 4; // Guard against cells wrapping across the map edge
+    const isVisible = visibilityTest(projection);
+
+    for (let i = 0; i < rawCoords.length; i++) {
+      const [lon, lat] = rawCoords[i];
+      const south = Math.max(-90, lat - dLat / 2);
+      const north = Math.min(90, lat + dLat / 2);
+      const lonLats = [
+        [lon - dLon / 2, south],
+        [lon + dLon / 2, south],
+        [lon + dLon / 2, north],
+        [lon - dLon / 2, north]
+      ];
+      if (!lonLats.every(isVisible)) continue;
+
+      const corners = lonLats.map(projection);
+      if (corners.some(c => !c)) continue;
+
+      const xs = corners.map(c => c[0]);
+      if (d3.max(xs) - d3.min(xs) > maxCellWidth) continue;
+
+      fillCell(i, corners);
+    }
+    present();
+  }
+
+  // Marks the raster pixels whose centre lies inside the projected cell.
+  // Rectangles in the default projection, quadrilaterals in the others.
+  function fillCell(index, corners) {
+    const xs = corners.map(c => c[0] * RASTER_SCALE);
+    const ys = corners.map(c => c[1] * RASTER_SCALE);
+    const px0 = Math.max(0, Math.floor(d3.min(xs)));
+    const py0 = Math.max(0, Math.floor(d3.min(ys)));
+    const px1 = Math.min(raster.width, Math.ceil(d3.max(xs)));
+    const py1 = Math.min(raster.height, Math.ceil(d3.max(ys)));
+
+    // Cross products of every edge with the pixel centre: all of one sign inside
+    const inside = (x, y) => {
+      let sign = 0;
+      for (let k = 0; k < 4; k++) {
+        const next = (k + 1) % 4;
+        const cross = (xs[next] - xs[k]) * (y - ys[k]) - (ys[next] - ys[k]) * (x - xs[k]);
+        if (cross === 0) continue;
+        if (sign && Math.sign(cross) !== sign) return false;
+        sign = Math.sign(cross);
+      }
+      return true;
+    };
+
+    for (let py = py0; py < py1; py++) {
+      const row = py * raster.width;
+      for (let px = px0; px < px1; px++) {
+        if (inside(px + 0.5, py + 0.5)) pixelOwner[row + px] = index;
+      }
+    }
+  }
+
+  function draw(values, colorScale) {
+    const lut = getLut(colorScale);
+    const domain = colorScale.domain();
+    const d0 = domain[0];
+    const span = domain[domain.length - 1] - d0;
+
+    // 1. One color per grid cell
+    for (let i = 0; i < cellColors.length; i++) {
+      const v = values[i];
+      if (v === null || v === undefined || Number.isNaN(v)) {
+        cellColors[i] = 0;
+        continue;
+      }
+      let t = span ? (v - d0) / span : 0;
+      t = t < 0 ? 0 : t > 1 ? 1 : t;
+      cellColors[i] = lut[Math.round(t * (LUT_SIZE - 1))];
+    }
+
+    // 2. Paint the raster
+    for (let p = 0; p < pixels.length; p++) {
+      const owner = pixelOwner[p];
+      pixels[p] = owner < 0 ? 0 : cellColors[owner];
+    }
+
+    rasterCtx.putImageData(imageData, 0, 0);
+    present();
+  }
+
+  function getLut(colorScale) {
+    const domain = colorScale.domain();
+    const key = `${domain.join(',')}|${colorScale(domain[0])}|${colorScale(domain[domain.length - 1])}`;
+    if (lutCache.key === key) return lutCache.lut;
+
+    const d0 = domain[0];
+    const span = domain[domain.length - 1] - d0;
+    const lut = new Uint32Array(LUT_SIZE);
+    for (let i = 0; i < LUT_SIZE; i++) {
+      const c = d3.rgb(colorScale(d0 + span * (i / (LUT_SIZE - 1))));
+      // ImageData is RGBA in memory, i.e. ABGR when read as little-endian uint32
+      lut[i] = (255 << 24) | (c.b << 16) | (c.g << 8) | c.r;
+    }
+
+    lutCache = { key, lut };
+    return lut;
+  }
+
+  function setTransform(t) {
+    transform = t;
+    present();
+  }
+
+  new ResizeObserver(resize).observe(canvas);
+
+  return { node: canvas, setGrid, draw, setTransform };
+}
+
+// --- SVG Renderer (one circle per grid point) ---
+
+export function createSvgRenderer(container, { width, height }) {
+  const svg = d3.select(container).append('svg')
+    .attr('id', 'heatmap-container')
+    .attr('viewBox', `0 0 ${width} ${height}`)
+    .style('position', 'absolute')
+    .style('top', 0).style('left', 0);
+
+  const group = svg.append('g').attr('id', 'heatmap-content-group');
+  let points = [];
+
+  function setGrid({ rawCoords, screenCoords, projection }) {
+    const isVisible = visibilityTest(projection);
+    points = screenCoords.map((p, i) => (p && isVisible(rawCoords[i]) ? p : null));
+  }
+
+  function draw(values, colorScale) {
+    const renderData = [];
+    for (let i = 0; i < points.length; i++) {
+      if (points[i] && !Number.isNaN(values[i])) {
+        renderData.push({ x: points[i].x, y: points[i].y, val: values[i] });
+      }
+    }
+
+    group.selectAll('.data-point')
+      .data(renderData)
+      .join(enter => enter.append('circle')
+        .attr('class', 'data-point')
+        .attr('r', 3)
+        .attr('stroke', 'none'))
+      .attr('cx', d => d.x)
+      .attr('cy', d => d.y)
+      .attr('fill', d => colorScale(d.val));
+  }
+
+  function setTransform(transform) {
+    group.attr('transform', transform);
+  }
+
+  return { node: svg.node(), setGrid, draw, setTransform };
+}
+
+export const HEATMAP_RENDERERS = {
+  canvas: createCanvasRenderer,
+  svg: createSvgRenderer
+};
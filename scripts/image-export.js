@@ -0,0 +1,244 @@
+/* --- START OF FILE image-export.js --- */
+
+// Map snapshots for slides: heatmap + overlay + legend + title + timestamp,
+// composed into a PNG (canvas), an SVG document or a WebM recording.
+//
+// `parts` describes one snapshot:
+//   { heatmap: <canvas> or <svg> (see heatmap-renderer.js), overlay: <svg>, legend: <canvas>,
+//     legendLabels: [left, right] or [left, middle, right], title, timestamp, credit, mapWidth, mapHeight }
+
+const HEADER_HEIGHT = 36;
+const FOOTER_HEIGHT = 48;
+const PNG_SCALE = 2;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Presentation properties copied from the page's CSS into the exported overlay
+const INLINED_STYLES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-dasharray', 'opacity', 'display', 'visibility'
+];
+
+// --- PNG ---
+
+// Draws the snapshot onto `canvas` (created if missing) and returns it
+export async function renderMapImage(parts, canvas = document.createElement('canvas')) {
+  const { width, height } = imageSize(parts);
+  canvas.width = width * PNG_SCALE;
+  canvas.height = height * PNG_SCALE;
+
+  const heatmap = parts.heatmap instanceof HTMLCanvasElement
+    ? parts.heatmap
+    : await loadSvgImage(overlayMarkup(parts.heatmap, parts.mapWidth, parts.mapHeight));
+  const overlay = await loadSvgImage(overlayMarkup(parts.overlay, parts.mapWidth, parts.mapHeight));
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(PNG_SCALE, 0, 0, PNG_SCALE, 0, 0);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  // 1. Header
+  ctx.fillStyle = '#0f172a';
+  ctx.font = '600 16px system-ui, sans-serif';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(parts.title, 12, HEADER_HEIGHT / 2);
+  ctx.textAlign = 'right';
+  ctx.font = '600 14px Consolas, monospace';
+  ctx.fillText(parts.timestamp, width - 12, HEADER_HEIGHT / 2);
+  ctx.textAlign = 'left';
+
+  // 2. Map
+  ctx.drawImage(heatmap, 0, HEADER_HEIGHT, parts.mapWidth, parts.mapHeight);
+  ctx.drawImage(overlay, 0, HEADER_HEIGHT, parts.mapWidth, parts.mapHeight);
+
+  // 3. Legend + credit
+  const legendY = HEADER_HEIGHT + parts.mapHeight + 8;
+  ctx.drawImage(parts.legend, 12, legendY, 200, 16);
+  ctx.strokeStyle = '#cbd5e1';
+  ctx.strokeRect(12, legendY, 200, 16);
+
+  ctx.fillStyle = '#475569';
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.textBaseline = 'top';
+  legendLabelPositions(parts.legendLabels).forEach(({ text, x, anchor }) => {
+    ctx.textAlign = anchor === 'middle' ? 'center' : anchor;
+    ctx.fillText(text, x, legendY + 20);
+  });
+  ctx.textAlign = 'right';
+  ctx.fillText(parts.credit, width - 12, legendY + 20);
+
+  return canvas;
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), type);
+  });
+}
+
+// --- SVG ---
+
+// Standalone SVG document: a canvas heatmap is embedded as a PNG, everything else stays vector
+export function buildMapSvg(parts) {
+  const { width, height } = imageSize(parts);
+  const doc = document.implementation.createDocument(SVG_NS, 'svg', null);
+  const svg = doc.documentElement;
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('font-family', 'system-ui, sans-serif');
+
+  const el = (name, attrs, text = null) => {
+    const node = doc.createElementNS(SVG_NS, name);
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+    if (text !== null) node.textContent = text;
+    svg.appendChild(node);
+    return node;
+  };
+
+  el('rect', { width, height, fill: '#ffffff' });
+  el('text', { x: 12, y: HEADER_HEIGHT / 2, 'dominant-baseline': 'middle', 'font-size': 16, 'font-weight': 600, fill: '#0f172a' }, parts.title);
+  el('text', {
+    x: width - 12, y: HEADER_HEIGHT / 2, 'dominant-baseline': 'middle', 'text-anchor': 'end',
+    'font-size': 14, 'font-weight': 600, 'font-family': 'Consolas, monospace', fill: '#0f172a'
+  }, parts.timestamp);
+
+  const nestMap = node => {
+    const clone = styledOverlayClone(node);
+    clone.setAttribute('x', 0);
+    clone.setAttribute('y', HEADER_HEIGHT);
+    clone.setAttribute('width', parts.mapWidth);
+    clone.setAttribute('height', parts.mapHeight);
+    svg.appendChild(doc.importNode(clone, true));
+  };
+
+  if (parts.heatmap instanceof HTMLCanvasElement) {
+    el('image', {
+      x: 0, y: HEADER_HEIGHT, width: parts.mapWidth, height: parts.mapHeight,
+      preserveAspectRatio: 'none', href: parts.heatmap.toDataURL('image/png')
+    });
+  } else {
+    nestMap(parts.heatmap);
+  }
+  nestMap(parts.overlay);
+
+  const legendY = HEADER_HEIGHT + parts.mapHeight + 8;
+  el('image', { x: 12, y: legendY, width: 200, height: 16, preserveAspectRatio: 'none', href: parts.legend.toDataURL('image/png') });
+  el('rect', { x: 12, y: legendY, width: 200, height: 16, fill: 'none', stroke: '#cbd5e1' });
+  legendLabelPositions(parts.legendLabels).forEach(({ text, x, anchor }) => {
+    el('text', { x, y: legendY + 30, 'text-anchor': anchor, 'font-size': 11, fill: '#475569' }, text);
+  });
+  el('text', { x: width - 12, y: legendY + 30, 'text-anchor': 'end', 'font-size': 11, fill: '#475569' }, parts.credit);
+
+  return new XMLSerializer().serializeToString(doc);
+}
+
+// --- WebM ---
+
+// Records whatever is drawn on `canvas`; call frame() after every redraw.
+// Frames are pushed on a fixed 1/fps timeline, so the time spent drawing the
+// next frame doesn't stretch the current one. stop() may be called more than once.
+// Returns null if the browser can't record WebM.
+export function createCanvasRecorder(canvas, fps) {
+  if (!window.MediaRecorder || !canvas.captureStream) return null;
+
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) return null;
+
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+  const chunks = [];
+  recorder.ondataavailable = event => {
+    if (event.data.size) chunks.push(event.data);
+  };
+  recorder.start();
+
+  const interval = 1000 / fps;
+  let nextFrameTime = null; // When the previous frame's duration is up
+  let stopped = null;
+
+  return {
+    // Pushes the current canvas once the previous frame has been shown for one frame duration
+    async frame() {
+      if (nextFrameTime !== null) {
+        const wait = nextFrameTime - performance.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      track.requestFrame();
+      // A frame that took longer than the interval to draw restarts the timeline
+      nextFrameTime = Math.max(nextFrameTime ?? 0, performance.now() - interval) + interval;
+    },
+    stop() {
+      if (!stopped) {
+        stopped = new Promise(resolve => {
+          recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+          // The last frame also needs its duration before the recording ends
+          const wait = nextFrameTime === null ? 0 : Math.max(0, nextFrameTime - performance.now());
+          setTimeout(() => {
+            recorder.stop();
+            track.stop();
+          }, wait);
+        });
+      }
+      return stopped;
+    }
+  };
+}
+
+// --- Helpers ---
+
+function imageSize(parts) {
+  return { width: parts.mapWidth, height: HEADER_HEIGHT + parts.mapHeight + FOOTER_HEIGHT };
+}
+
+function legendLabelPositions(labels) {
+  const [left = '', middle = '', right = ''] = labels.length === 2 ? [labels[0], '', labels[1]] : labels;
+  const positions = [
+    { text: left, x: 12, anchor: 'start' },
+    { text: right, x: 212, anchor: 'end' }
+  ];
+  // Three labels don't fit under the 200px bar: the middle one goes to its right
+  if (middle) positions.push({ text: middle, x: 222, anchor: 'start' });
+  return positions;
+}
+
+// Copy of the overlay SVG with the page's CSS inlined, so it renders on its own
+function styledOverlayClone(svgNode) {
+  const clone = svgNode.cloneNode(true);
+  const sources = [svgNode, ...svgNode.querySelectorAll('*')];
+  const targets = [clone, ...clone.querySelectorAll('*')];
+
+  sources.forEach((source, i) => {
+    const computed = window.getComputedStyle(source);
+    const style = INLINED_STYLES.map(prop => `${prop}:${computed.getPropertyValue(prop)}`).join(';');
+    targets[i].setAttribute('style', style);
+  });
+
+  clone.removeAttribute('id');
+  clone.setAttribute('xmlns', SVG_NS);
+  return clone;
+}
+
+function overlayMarkup(svgNode, width, height) {
+  const clone = styledOverlayClone(svgNode);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  return new XMLSerializer().serializeToString(clone);
+}
+
+function loadSvgImage(markup) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the map overlay'));
+    };
+    image.src = url;
+  });
+}
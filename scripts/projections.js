@@ -0,0 +1,77 @@
+/* --- START OF FILE projections.js --- */
+
+// Map projections for the projection picker. Robinson comes from
+// d3-geo-projection and is left out if that script didn't load.
+
+export const DEFAULT_PROJECTION = 'equirectangular';
+
+// Margin around projections fitted to the map (all but the default)
+const FIT_PADDING = 8;
+
+export const PROJECTIONS = {
+  // Fixed layout the datasets are projected with in the worker (see data-worker.js)
+  'equirectangular': {
+    label: 'Equirectangular',
+    create: (width, height) => d3.geoEquirectangular().scale(153).translate([width / 2, height / 2])
+  },
+  'equal-earth': {
+    label: 'Equal Earth',
+    create: (width, height) => fitToMap(d3.geoEqualEarth(), width, height)
+  },
+  'robinson': {
+    label: 'Robinson',
+    create: (width, height) => fitToMap(d3.geoRobinson(), width, height),
+    available: () => typeof d3.geoRobinson === 'function'
+  },
+  // Dragging rotates the globe instead of panning (see setupGlobeDrag)
+  'orthographic': {
+    label: 'Globe',
+    create: (width, height) => fitToMap(d3.geoOrthographic().rotate([0, -30]), width, height),
+    draggable: true
+  },
+  'north-polar': {
+    label: 'North polar stereographic',
+    create: (width, height) => fitToMap(d3.geoStereographic().rotate([0, -90]).clipAngle(90), width, height)
+  },
+  'south-polar': {
+    label: 'South polar stereographic',
+    create: (width, height) => fitToMap(d3.geoStereographic().rotate([0, 90]).clipAngle(90), width, height)
+  }
+};
+
+export function projectionAvailable(id) {
+  const spec = PROJECTIONS[id];
+  return Boolean(spec) && (!spec.available || spec.available());
+}
+
+export function createProjection(id, width, height) {
+  return PROJECTIONS[id].create(width, height);
+}
+
+// Screen position of every [lon, lat] (null where the projection has none)
+export function projectPoints(coords, projection) {
+  return coords.map(d => {
+    const p = projection(d);
+    return p && Number.isFinite(p[0]) && Number.isFinite(p[1]) ? { x: p[0], y: p[1] } : null;
+  });
+}
+
+// Predicate telling whether a [lon, lat] is on the visible side of a clipped
+// projection (back of the globe, other hemisphere of a polar view).
+// d3 still projects hidden points, so renderers and hit tests have to ask.
+export function visibilityTest(projection) {
+  const clipAngle = projection.clipAngle();
+  if (!clipAngle) return () => true;
+
+  const [lambda, phi] = projection.rotate();
+  const center = [-lambda, -phi];
+  const maxDistance = clipAngle * Math.PI / 180;
+  return lonLat => d3.geoDistance(lonLat, center) <= maxDistance;
+}
+
+function fitToMap(projection, width, height) {
+  return projection.fitExtent(
+    [[FIT_PADDING, FIT_PADDING], [width - FIT_PADDING, height - FIT_PADDING]],
+    { type: 'Sphere' }
+  );
+}
@@ -0,0 +1,140 @@
+/* --- START OF FILE regions.js --- */
+
+// Ready-made region groups for the sidebar: continents (union of country
+// shapes), latitude bands and, if the file is present, IPCC AR6 land regions.
+// Every region is a GeoJSON Feature with a unique id and properties.name.
+
+// Optional local copy of the IPCC AR6 reference regions (Iturbide et al. 2020,
+// CC BY 4.0); see data/README.md for where to get it
+export const AR6_REGIONS_URL = 'data/ipcc-ar6-land.geojson';
+
+// Continent -> country names as they appear in world-atlas countries-110m
+export const CONTINENTS = {
+  'Africa': [
+    'Algeria', 'Angola', 'Benin', 'Botswana', 'Burkina Faso', 'Burundi', 'Cameroon',
+    'Central African Rep.', 'Chad', 'Congo', "Côte d'Ivoire", 'Dem. Rep. Congo', 'Djibouti',
+    'Egypt', 'Eq. Guinea', 'Eritrea', 'eSwatini', 'Ethiopia', 'Gabon', 'Gambia', 'Ghana',
+    'Guinea', 'Guinea-Bissau', 'Kenya', 'Lesotho', 'Liberia', 'Libya', 'Madagascar', 'Malawi',
+    'Mali', 'Mauritania', 'Morocco', 'Mozambique', 'Namibia', 'Niger', 'Nigeria', 'Rwanda',
+    'S. Sudan', 'Senegal', 'Sierra Leone', 'Somalia', 'Somaliland', 'South Africa', 'Sudan',
+    'Tanzania', 'Togo', 'Tunisia', 'Uganda', 'W. Sahara', 'Zambia', 'Zimbabwe'
+  ],
+  'Asia': [
+    'Afghanistan', 'Armenia', 'Azerbaijan', 'Bangladesh', 'Bhutan', 'Brunei', 'Cambodia',
+    'China', 'Cyprus', 'Georgia', 'India', 'Indonesia', 'Iran', 'Iraq', 'Israel', 'Japan',
+    'Jordan', 'Kazakhstan', 'Kuwait', 'Kyrgyzstan', 'Laos', 'Lebanon', 'Malaysia', 'Mongolia',
+    'Myanmar', 'N. Cyprus', 'Nepal', 'North Korea', 'Oman', 'Pakistan', 'Palestine',
+    'Philippines', 'Qatar', 'Saudi Arabia', 'South Korea', 'Sri Lanka', 'Syria', 'Taiwan',
+    'Tajikistan', 'Thailand', 'Timor-Leste', 'Turkey', 'Turkmenistan', 'United Arab Emirates',
+    'Uzbekistan', 'Vietnam', 'Yemen'
+  ],
+  'Europe': [
+    'Albania', 'Austria', 'Belarus', 'Belgium', 'Bosnia and Herz.', 'Bulgaria', 'Croatia',
+    'Czechia', 'Denmark', 'Estonia', 'Finland', 'France', 'Germany', 'Greece', 'Hungary',
+    'Iceland', 'Ireland', 'Italy', 'Kosovo', 'Latvia', 'Lithuania', 'Luxembourg', 'Macedonia',
+    'Moldova', 'Montenegro', 'Netherlands', 'Norway', 'Poland', 'Portugal', 'Romania', 'Russia',
+    'Serbia', 'Slovakia', 'Slovenia', 'Spain', 'Sweden', 'Switzerland', 'Ukraine', 'United Kingdom'
+  ],
+  'North America': [
+    'Bahamas', 'Belize', 'Canada', 'Costa Rica', 'Cuba', 'Dominican Rep.', 'El Salvador',
+    'Greenland', 'Guatemala', 'Haiti', 'Honduras', 'Jamaica', 'Mexico', 'Nicaragua', 'Panama',
+    'Puerto Rico', 'Trinidad and Tobago', 'United States of America'
+  ],
+  'South America': [
+    'Argentina', 'Bolivia', 'Brazil', 'Chile', 'Colombia', 'Ecuador', 'Falkland Is.', 'Guyana',
+    'Paraguay', 'Peru', 'Suriname', 'Uruguay', 'Venezuela'
+  ],
+  'Oceania': [
+    'Australia', 'Fiji', 'New Caledonia', 'New Zealand', 'Papua New Guinea', 'Solomon Is.', 'Vanuatu'
+  ],
+  'Antarctica': ['Antarctica', 'Fr. S. Antarctic Lands']
+};
+
+// Tropics and polar circles at the current axial tilt
+const TROPIC = 23.44;
+const POLAR_CIRCLE = 66.56;
+
+export const LATITUDE_BANDS = [
+  { id: 'arctic', name: `Arctic (>${POLAR_CIRCLE}°N)`, south: POLAR_CIRCLE, north: 90 },
+  { id: 'north-mid', name: 'Northern mid-latitudes', south: TROPIC, north: POLAR_CIRCLE },
+  { id: 'tropics', name: `Tropics (${TROPIC}°S–${TROPIC}°N)`, south: -TROPIC, north: TROPIC },
+  { id: 'south-mid', name: 'Southern mid-latitudes', south: -POLAR_CIRCLE, north: -TROPIC },
+  { id: 'antarctic', name: `Antarctic (>${POLAR_CIRCLE}°S)`, south: -90, north: -POLAR_CIRCLE }
+];
+
+// One merged feature per continent. `topology` is the world-atlas topojson.
+export function continentFeatures(topology) {
+  const geometries = topology.objects.countries.geometries;
+
+  return Object.entries(CONTINENTS).map(([continent, names]) => {
+    const members = new Set(names);
+    return {
+      type: 'Feature',
+      id: `continent-${continent.toLowerCase().replace(/\s+/g, '-')}`,
+      properties: { name: continent },
+      geometry: topojson.merge(topology, geometries.filter(g => members.has(g.properties.name)))
+    };
+  });
+}
+
+export function latitudeBandFeatures() {
+  return LATITUDE_BANDS.map(({ id, name, south, north }) => ({
+    type: 'Feature',
+    id: `band-${id}`,
+    properties: { name },
+    geometry: lonLatBox(-180, south, 180, north)
+  }));
+}
+
+// AR6 land regions from the local GeoJSON, or null if the file can't be loaded.
+// Ocean regions of the full reference file are left out.
+export async function loadAr6Regions(url = AR6_REGIONS_URL) {
+  let collection;
+  try {
+    collection = await d3.json(url);
+  } catch (err) {
+    console.warn(`IPCC AR6 regions not available (${url}): ${err.message}`);
+    return null;
+  }
+
+  const land = (collection?.features || []).filter(feature => feature.properties?.Type !== 'Ocean');
+  return land.map((feature, i) => {
+    const props = feature.properties || {};
+    const acronym = props.Acronym || props.abbrevs || String(i);
+    return {
+      type: 'Feature',
+      id: `ar6-${acronym}`,
+      properties: { name: `${props.Name || props.names || acronym} (${acronym})` },
+      geometry: rewindForD3(feature.geometry)
+    };
+  });
+}
+
+// Lon/lat rectangle whose north/south edges follow the parallels
+export function lonLatBox(west, south, east, north) {
+  const ring = [];
+  const step = 1;
+  for (let lat = south; lat < north; lat += step) ring.push([west, lat]);
+  for (let lon = west; lon < east; lon += step) ring.push([lon, north]);
+  for (let lat = north; lat > south; lat -= step) ring.push([east, lat]);
+  for (let lon = east; lon > west; lon -= step) ring.push([lon, south]);
+  ring.push([west, south]);
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+// d3-geo wants exterior rings clockwise, GeoJSON (RFC 7946) files use the
+// opposite order. A polygon covering more than a hemisphere was wound the other way.
+export function rewindForD3(geometry) {
+  const rewind = rings => {
+    const area = d3.geoArea({ type: 'Polygon', coordinates: rings });
+    return area > 2 * Math.PI ? rings.map(ring => ring.slice().reverse()) : rings;
+  };
+
+  if (geometry.type === 'Polygon') {
+    return { type: 'Polygon', coordinates: rewind(geometry.coordinates) };
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(rewind) };
+  }
+  return geometry;
+}
@@ -0,0 +1,160 @@
+/* --- START OF FILE spatial-index.js --- */
+
+// Grid point -> country lookups.
+// Points are sorted by latitude so a feature's bounding box narrows the
+// candidates before the (slow) d3.geoContains test. Results are cached per
+// feature id and can be persisted in IndexedDB, keyed by grid + geometry.
+
+const IDB_NAME = 'global-warming-trends';
+const IDB_STORE = 'country-index';
+const BUILD_CHUNK = 8; // Features per slice before yielding to the UI
+
+export function createSpatialIndex(rawCoords) {
+  const n = rawCoords.length;
+  const lons = new Float64Array(n);
+  const lats = new Float64Array(n);
+  rawCoords.forEach(([lon, lat], i) => {
+    lons[i] = ((lon + 180) % 360 + 360) % 360 - 180; // Same range as d3.geoBounds
+    lats[i] = lat;
+  });
+
+  const order = Int32Array.from({ length: n }, (_, i) => i).sort((a, b) => lats[a] - lats[b]);
+  const sortedLats = Float64Array.from(order, i => lats[i]);
+
+  const cache = new Map();                       // feature id -> Int32Array of grid indices
+  const overlapCache = new Map();                // feature id -> Int32Array, cells touching the feature
+
+  // Grid indices inside the feature's bounding box, optionally padded by some degrees
+  function candidates(feature, padLon = 0, padLat = 0) {
+    const [[west, south], [east, north]] = d3.geoBounds(feature);
+    const result = [];
+
+    let w = west - padLon;
+    let e = east + padLon;
+    const allLons = (west > east ? e + 360 - w : e - w) >= 360;
+    w = ((w + 180) % 360 + 360) % 360 - 180;
+    e = ((e + 180) % 360 + 360) % 360 - 180;
+    const wraps = w > e; // Box crosses the antimeridian
+
+    for (let k = lowerBound(sortedLats, south - padLat); k < n && sortedLats[k] <= north + padLat; k++) {
+      const i = order[k];
+      const lon = lons[i];
+      if (allLons || (wraps ? (lon >= w || lon <= e) : (lon >= w && lon <= e))) {
+        result.push(i);
+      }
+    }
+    return result;
+  }
+
+  // Cached grid indices for a feature (computed on first use)
+  function indicesFor(id, feature) {
+    if (!cache.has(id)) {
+      cache.set(id, Int32Array.from(candidates(feature).filter(i => d3.geoContains(feature, rawCoords[i]))));
+    }
+    return cache.get(id);
+  }
+
+  // Cells (center ± half the grid spacing) that lie at least partly inside the feature,
+  // approximated by testing the center and the four corners
+  function overlappingFor(id, feature, dLon, dLat) {
+    if (overlapCache.has(id)) return overlapCache.get(id);
+
+    const inside = new Set(indicesFor(id, feature));
+    const hLon = dLon / 2;
+    const hLat = dLat / 2;
+    const touching = candidates(feature, hLon, hLat).filter(i => {
+      if (inside.has(i)) return true;
+      const [lon, lat] = rawCoords[i];
+      return [[-hLon, -hLat], [hLon, -hLat], [hLon, hLat], [-hLon, hLat]]
+        .some(([dx, dy]) => d3.geoContains(feature, [lon + dx, Math.max(-90, Math.min(90, lat + dy))]));
+    });
+
+    const result = Int32Array.from(touching);
+    overlapCache.set(id, result);
+    return result;
+  }
+
+  // Precomputes every feature in slices, yielding between them
+  async function buildAll(features, getId, onProgress = () => {}) {
+    for (let start = 0; start < features.length; start += BUILD_CHUNK) {
+      features.slice(start, start + BUILD_CHUNK).forEach(feature => indicesFor(getId(feature), feature));
+      onProgress(Math.min(features.length, start + BUILD_CHUNK), features.length);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  function exportEntries() {
+    return { entries: Array.from(cache.entries()) };
+  }
+
+  function importEntries({ entries }) {
+    entries.forEach(([id, indices]) => cache.set(id, indices));
+  }
+
+  return {
+    signature: gridSignature(rawCoords),
+    indicesFor,
+    overlappingFor,
+    buildAll,
+    exportEntries,
+    importEntries
+  };
+}
+
+// Cheap fingerprint of a grid, so scenarios on the same grid share one index
+export function gridSignature(rawCoords) {
+  let hash = 2166136261;
+  for (let i = 0; i < rawCoords.length; i++) {
+    hash = Math.imul(hash ^ Math.round(rawCoords[i][0] * 100), 16777619);
+    hash = Math.imul(hash ^ Math.round(rawCoords[i][1] * 100), 16777619);
+  }
+  return `${rawCoords.length}-${(hash >>> 0).toString(16)}`;
+}
+
+// --- IndexedDB Cache ---
+
+function openCacheDb() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB not available'));
+      return;
+    }
+    const request = indexedDB.open(IDB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function loadCachedIndex(key) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(IDB_STORE, 'readonly').objectStore(IDB_STORE).get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  }).finally(() => db.close());
+}
+
+export async function saveCachedIndex(key, value) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, 'readwrite');
+    tx.objectStore(IDB_STORE).put(value, key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  }).finally(() => db.close());
+}
+
+// --- Helpers ---
+
+// First position in a sorted array whose value is >= target
+function lowerBound(sorted, target) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
@@ -0,0 +1,248 @@
+/* --- START OF FILE stats.js --- */
+
+// Trend statistics for monthly series (no d3 here).
+// x values are decimal years, so slopes come out per year.
+// Monthly temperatures are serially correlated: confidence intervals and the
+// Mann–Kendall test use an effective sample size from the lag-1 autocorrelation
+// of the residuals (AR(1), Santer et al. 2008; Yue & Wang 2004).
+
+// Two-sided 95% critical value of the standard normal
+const Z_975 = 1.959964;
+
+// 97.5% quantiles of Student's t for df = 1..30 (index = df - 1)
+const T_975 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Least-squares fit with an AR(1)-corrected 95% confidence interval on the slope
+export function linearTrend(xs, ys) {
+  const points = pairs(xs, ys);
+  const n = points.length;
+  if (n < 3) return null;
+
+  const meanX = points.reduce((a, p) => a + p[0], 0) / n;
+  const meanY = points.reduce((a, p) => a + p[1], 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  points.forEach(([x, y]) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+  });
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+
+  const residuals = points.map(([x, y]) => y - (intercept + slope * x));
+  const sse = residuals.reduce((a, r) => a + r * r, 0);
+  const nEff = effectiveSampleSize(residuals);
+  const stderr = Math.sqrt(sse / (nEff - 2) / sxx);
+  const margin = tCritical975(nEff - 2) * stderr;
+
+  return { slope, intercept, ciLow: slope - margin, ciHigh: slope + margin, n, nEff };
+}
+
+// Theil–Sen estimator (median of pairwise slopes) with Sen's 95% confidence interval
+// (AR(1)-corrected like the Mann–Kendall test)
+export function theilSenTrend(xs, ys) {
+  const points = pairs(xs, ys);
+  const n = points.length;
+  if (n < 3) return null;
+
+  const slopes = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const dx = points[j][0] - points[i][0];
+      if (dx !== 0) slopes.push((points[j][1] - points[i][1]) / dx);
+    }
+  }
+  if (!slopes.length) return null;
+  slopes.sort((a, b) => a - b);
+
+  const slope = median(slopes);
+  const intercept = median(points.map(([x, y]) => y - slope * x));
+
+  // Ranks of the bounds follow from the Mann–Kendall variance
+  const nEff = effectiveSampleSize(points.map(([x, y]) => y - (intercept + slope * x)));
+  const c = Z_975 * Math.sqrt(mannKendallVariance(points.map(p => p[1])) * n / nEff);
+  const lower = Math.max(0, Math.round((slopes.length - c) / 2) - 1);
+  const upper = Math.min(slopes.length - 1, Math.round((slopes.length + c) / 2));
+
+  return { slope, intercept, ciLow: slopes[lower], ciHigh: slopes[upper], n, nEff };
+}
+
+// Mann–Kendall trend test: S statistic, tie- and AR(1)-corrected Z and two-sided p-value.
+// The autocorrelation is taken from the series with its least-squares trend removed.
+export function mannKendall(ys) {
+  const values = ys.filter(v => Number.isFinite(v));
+  const n = values.length;
+  if (n < 3) return null;
+
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(values[j] - values[i]);
+    }
+  }
+
+  const nEff = effectiveSampleSize(detrend(values));
+  const variance = mannKendallVariance(values) * n / nEff;
+  let z = 0;
+  if (s > 0) z = (s - 1) / Math.sqrt(variance);
+  else if (s < 0) z = (s + 1) / Math.sqrt(variance);
+
+  return { s, z, p: 2 * (1 - normalCdf(Math.abs(z))), nEff };
+}
+
+// Removes the mean seasonal cycle (months: 0-11 per value) but keeps the overall level
+export function removeSeasonalCycle(values, months) {
+  const sums = new Array(12).fill(0);
+  const counts = new Array(12).fill(0);
+  let total = 0;
+  let count = 0;
+
+  values.forEach((v, i) => {
+    if (!Number.isFinite(v)) return;
+    sums[months[i]] += v;
+    counts[months[i]]++;
+    total += v;
+    count++;
+  });
+
+  const overall = count ? total / count : 0;
+  return values.map((v, i) => {
+    const m = months[i];
+    return Number.isFinite(v) && counts[m] ? v - sums[m] / counts[m] + overall : NaN;
+  });
+}
+
+// Least-squares slope for every grid point at once.
+// frames[t][i] is the value of point i at time xs[t]; months[t] (0-11) gives
+// every month its own intercept, so the seasonal cycle doesn't bias the slope.
+// Missing values (NaN/null) are skipped.
+export function gridLinearTrends(frames, xs, months) {
+  const n = frames.length ? frames[0].length : 0;
+
+  // 1. Per-point monthly means of x and y
+  const monthX = new Float64Array(n * 12);
+  const monthY = new Float64Array(n * 12);
+  const monthCounts = new Uint16Array(n * 12);
+  frames.forEach((values, t) => {
+    const month = months[t];
+    for (let i = 0; i < n; i++) {
+      const v = values[i];
+      if (!Number.isFinite(v)) continue;
+      const k = i * 12 + month;
+      monthX[k] += xs[t];
+      monthY[k] += v;
+      monthCounts[k]++;
+    }
+  });
+
+  // 2. Regression sums of the values centered on their month
+  const count = new Uint16Array(n);
+  const sxx = new Float64Array(n);
+  const sxy = new Float64Array(n);
+  frames.forEach((values, t) => {
+    const month = months[t];
+    for (let i = 0; i < n; i++) {
+      const v = values[i];
+      if (!Number.isFinite(v)) continue;
+      const k = i * 12 + month;
+      const dx = xs[t] - monthX[k] / monthCounts[k];
+      count[i]++;
+      sxx[i] += dx * dx;
+      sxy[i] += dx * (v - monthY[k] / monthCounts[k]);
+    }
+  });
+
+  const slopes = new Float32Array(n).fill(NaN);
+  for (let i = 0; i < n; i++) {
+    if (count[i] >= 3 && sxx[i] > 0) slopes[i] = sxy[i] / sxx[i];
+  }
+  return slopes;
+}
+
+// --- Helpers ---
+
+function pairs(xs, ys) {
+  const points = [];
+  xs.forEach((x, i) => {
+    if (Number.isFinite(x) && Number.isFinite(ys[i])) points.push([x, ys[i]]);
+  });
+  return points;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// n (1 - r1) / (1 + r1) for positively autocorrelated residuals (n otherwise),
+// kept at 3 or more so a trend fit keeps at least one degree of freedom
+function effectiveSampleSize(residuals) {
+  const n = residuals.length;
+  const mean = residuals.reduce((a, r) => a + r, 0) / n;
+  let lagged = 0;
+  let total = 0;
+  residuals.forEach((r, i) => {
+    total += (r - mean) ** 2;
+    if (i > 0) lagged += (r - mean) * (residuals[i - 1] - mean);
+  });
+
+  const r1 = total > 0 ? lagged / total : 0;
+  if (r1 <= 0) return n;
+  return Math.max(3, Math.min(n, n * (1 - r1) / (1 + r1)));
+}
+
+// Residuals of a least-squares line through values at x = 0, 1, 2, ...
+function detrend(values) {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((a, v) => a + v, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  values.forEach((v, i) => {
+    sxx += (i - meanX) ** 2;
+    sxy += (i - meanX) * (v - meanY);
+  });
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return values.map((v, i) => v - meanY - slope * (i - meanX));
+}
+
+function mannKendallVariance(values) {
+  const n = values.length;
+  const ties = new Map();
+  values.forEach(v => ties.set(v, (ties.get(v) || 0) + 1));
+
+  let tieTerm = 0;
+  ties.forEach(t => {
+    if (t > 1) tieTerm += t * (t - 1) * (2 * t + 5);
+  });
+  return (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+    t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// 97.5% quantile of Student's t: table up to df = 30 (fractional df rounded down,
+// which widens the interval), Cornish–Fisher expansion above
+function tCritical975(df) {
+  if (df < 31) return T_975[Math.max(1, Math.floor(df)) - 1];
+
+  const z = Z_975;
+  return z +
+    (z ** 3 + z) / (4 * df) +
+    (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2) +
+    (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * df ** 3);
+}
@@ -1,15 +1,46 @@
 /* --- START OF FILE temperature-map.js --- */
 
+import { HEATMAP_RENDERERS } from './heatmap-renderer.js';
+import { DataLoadError, openDataset } from './dataset-client.js';
+import { DEFAULT_BASELINE, baselineDates, computeBaseline, formatBaseline } from './climatology.js';
+import { AVERAGING_METHODS, computeAreaWeights, createGridLookup, weightedMean } from './grid.js';
+import { createSpatialIndex, gridSignature, loadCachedIndex, saveCachedIndex } from './spatial-index.js';
+import { downloadFile, slugify, toCsv } from './export.js';
+import { buildMapSvg, canvasToBlob, createCanvasRecorder, renderMapImage } from './image-export.js';
+import { COLORMAPS, createColorScale, percentileRange } from './color-scales.js';
+import {
+  DEFAULT_PROJECTION, PROJECTIONS, createProjection, projectPoints, projectionAvailable, visibilityTest
+} from './projections.js';
+import { AR6_REGIONS_URL, continentFeatures, latitudeBandFeatures, loadAr6Regions, lonLatBox } from './regions.js';
+import { gridLinearTrends, linearTrend, mannKendall, removeSeasonalCycle, theilSenTrend } from './stats.js';
+import { TEMPERATURE_UNITS, convertAbsolute, convertDelta, deltaToKelvin, toKelvin } from './units.js';
+
 const MAP_WIDTH = 960;
 const MAP_HEIGHT = 480;
 const WORLD_TOPOJSON_URL = 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json';
 const TEMPERATURE_DATA_URL = 'data/temperature_data.zip';
+// Optional list of scenarios/models: { default, datasets: [{ id, label, model, scenario, url }] }
+const DATASET_MANIFEST_URL = 'data/manifest.json';
+const DEFAULT_MANIFEST = {
+  default: 'taiesm1-ssp245',
+  datasets: [
+    { id: 'taiesm1-ssp245', label: 'TaiESM1 SSP2-4.5', model: 'TaiESM1', scenario: 'ssp245', url: TEMPERATURE_DATA_URL }
+  ]
+};
+// Heatmap renderer: 'canvas' (raster cells) or 'svg' (one circle per grid point)
+const HEATMAP_RENDERER = 'canvas';
+// Frames per second of the exported WebM animation
+const ANIMATION_FPS = 8;
+// Milliseconds per playback step at 1× speed
+const PLAYBACK_INTERVAL = 150;
+// Tooltip grid value: 'interpolated' (bilinear between neighbours) or 'nearest' (grid point)
+const TOOLTIP_SAMPLING = 'interpolated';
 
 // --- D3 Configuration ---
-const projection = d3
-  .geoEquirectangular()
-  .scale(153)
-  .translate([MAP_WIDTH / 2, MAP_HEIGHT / 2]);
+// Datasets are projected in the worker with the default projection (see projectGrid)
+const defaultProjection = createProjection(DEFAULT_PROJECTION, MAP_WIDTH, MAP_HEIGHT);
+let projectionId = DEFAULT_PROJECTION; // Key of PROJECTIONS (see setProjection)
+let projection = defaultProjection;
 
 const geoPath = d3.geoPath(projection);
 // Date parser for data format "YYYY-MM-DD HH:mm:ss"
@@ -17,21 +48,68 @@ const dateParser = d3.timeParse("%Y-%m-%d %H:%M:%S");
 
 // --- State Variables ---
 const revealedCountries = new Set();
-let tooltip, overlayLayer, heatmapSvg;
+const pins = new Map();          // id -> Point feature of a dropped pin (see setupPins)
+let pinCounter = 0;
+const customRegions = new Map(); // id -> Polygon feature drawn by the user (see setupDrawing)
+let regionCounter = 0;
+let drawMode = null;             // null | 'rectangle' | 'polygon'
+let drawState = null;            // Shape in progress: { start, current } or { vertices, current }
+let tooltip, overlayLayer, heatmapRenderer;
 
 // Data Storage
+// The variables below always describe the active dataset (see activateDataset)
 let allTemperatureData = null; // { "2015-01...": [240, ...], ... }
 let screenCoords = [];         // [{x,y}, ...] Pre-calculated screen positions
 let rawCoords = [];            // [[lon, lat], ...] Global raw coords for geo-calc
 let timePoints = [];
-let baselineData = {};         // { "01": [...], "02": [...] } 2015 baseline
+let pointWeights = null;       // Float32Array, area weight per grid point (see averagingMethod)
+let worldCountries = null;     // Country FeatureCollection from the world topojson
+const regionGroups = new Map(); // id -> continent / latitude band / AR6 feature (see setupRegionGroups)
+let regionGroupsReady = Promise.resolve(); // Resolves once the AR6 regions are in regionGroups
+let spatialIndex = null;       // Grid point <-> country lookups (see spatial-index.js)
+let gridLookup = null;         // Interpolation / nearest point on the grid (see grid.js)
+const regionSamples = new Map(); // "id|coastal" -> { indices, weights, method } (see getRegionSample)
+let includeCoastalCells = false; // Also sample cells that only partly overlap a country
+let trendMethod = 'ols';         // 'ols' (least squares) or 'theil-sen'
+let deseasonalizeTrend = true;   // Fit trends to the series with its monthly climatology removed
+let normalizeComparison = false; // Comparison chart: each line relative to its own baseline-period mean
+let rankingRows = null;          // Country ranking: [{ feature, id, name, mean, anomaly, trend }] (see refreshRankingTable)
+let rankingSort = { key: 'trend', descending: true };
+let baselineData = {};         // { "01": [...], "02": [...] } per-month climatology of the baseline period
+
+// Scenarios
+let datasetManifest = [];        // Manifest entries
+const loadedDatasets = new Map(); // id -> dataset (see dataset-client.js)
+let activeDataset = null;        // Scenario A, drawn on the map
+let compareDataset = null;       // Scenario B: when set, the map shows B minus A
 
 // Interaction State
 let isPlaying = false;
-let animationInterval = null;
+let animationFrame = null;     // requestAnimationFrame id while playing
+let playbackSpeed = 1;         // Multiplier of PLAYBACK_INTERVAL
+let playbackStep = 'monthly';  // 'monthly' | 'same-month' (one year per step) | 'annual-mean'
+let playbackRange = null;      // [startIndex, endIndex] playback loops over (brushed on a chart)
+let isRecording = false;       // WebM export in progress
 let isAnomalyMode = false;
+let mapMode = 'monthly';       // 'monthly' (slider frame), 'trend' (warming rate per grid point),
+                               // 'exceedance' (cells above the threshold) or 'exceedance-count' (months above it so far)
+// Exceedance threshold in data units: K, or K above the baseline in anomaly mode
+const exceedanceThreshold = { absolute: 308, anomaly: 2 };
+let exceedanceCountCache = null; // { key, timeIndex, counts } running count (see exceedanceCounts)
+const gridTrendCache = new WeakMap(); // dataset -> Float32Array, K/decade per grid point
+let currentMapValues = null;   // Values of the frame currently on the map (for the tooltip)
+let baselinePeriod = { ...DEFAULT_BASELINE }; // Years averaged into the anomaly baseline
+let requestedBaseline = baselinePeriod; // Latest period asked for; becomes baselinePeriod once computed
+let averagingMethod = 'cell';  // Key of AVERAGING_METHODS used for global/country means
 let currentTransform = d3.zoomIdentity;
 let zoomBehavior;
+let projectionUpdateFrame = null; // Pending re-projection while the globe is dragged
+
+// URL State (see writeUrlState)
+const URL_STATE_DELAY = 500;   // ms of quiet before the hash is written
+let urlStateReady = false;     // Nothing is written before the initial state has been restored
+let restoringUrlState = false;
+let urlStateTimer = null;
 
 //Zoom
 function zoomed({ transform }) {
@@ -39,16 +117,33 @@ function zoomed({ transform }) {
 
   overlayLayer.attr("transform", transform);
 
-  heatmapSvg.attr("transform", transform);
+  heatmapRenderer.setTransform(transform);
+
+  updatePinMarkers();
+  scheduleUrlStateUpdate();
 }
 
 // Color Scales
-// Absolute: 230K (-43C) to 310K (37C)
-const absoluteColorScale = d3.scaleSequential(d3.interpolateInferno).domain([230, 310]);
-// Anomaly: +5C (Red) to -5C (Blue). RdBu: 0=Red, 1=Blue. So domain is [5, -5]
-const anomalyColorScale = d3.scaleSequential(d3.interpolateRdBu).domain([5, -5]);
-
-let currentColorScale = absoluteColorScale;
+// Fixed ranges per kind of map, in data units (see colorScaleKind)
+const FIXED_COLOR_RANGES = {
+  absolute: [230, 310],  // 230K (-43C) to 310K (37C)
+  anomaly: [-5, 5],
+  difference: [-3, 3],   // Scenario B minus A
+  trend: [-1, 1],        // K/decade
+  exceedance: [0, 5]     // K above the threshold
+};
+// Kinds drawn from the monthly frames (the whole-dataset auto range applies to these)
+const FRAME_KINDS = ['absolute', 'anomaly', 'difference'];
+const DIVERGING_KINDS = ['anomaly', 'difference', 'trend'];
+// Evenly spaced frames sampled for the whole-dataset auto range
+const DATASET_RANGE_FRAMES = 48;
+
+let colormap = 'inferno';      // Key of COLORMAPS
+let colorRangeMode = 'fixed';  // 'fixed' | 'frame' (fit to the map) | 'dataset' (fit to all frames)
+let temperatureUnit = 'K';     // Key of TEMPERATURE_UNITS, display only
+let colorRange = FIXED_COLOR_RANGES.absolute; // [low, high] of currentColorScale in data units
+const datasetRangeCache = new Map(); // "kind|dataset ids|baseline" -> [low, high] (see datasetColorRange)
+let currentColorScale = createColorScale(colormap, false, colorRange);
 
 // --- Initialization ---
 
@@ -61,7 +156,9 @@ async function init() {
     // 2. Load Geometry
     const worldTopo = await d3.json(WORLD_TOPOJSON_URL);
     const countries = topojson.feature(worldTopo, worldTopo.objects.countries);
+    worldCountries = countries;
     renderCountries(countries);
+    setupRegionGroups(worldTopo);
     
     // 3. Setup Legend
     setupLegend();
@@ -69,8 +166,10 @@ async function init() {
     // 4. Load Data
     await loadTemperatureData();
     
-    // 5. Zoom
+    // 5. Zoom & Pins
     setupZoom(zoomListenerElement); 
+    setupPins(zoomListenerElement);
+    setupDrawing(zoomListenerElement);
 
     //
     document.getElementById('zoom-in').addEventListener('click', () => {
@@ -80,6 +179,14 @@ async function init() {
     document.getElementById('zoom-out').addEventListener('click', () => {
       handleZoom('out');
     });
+
+    document.getElementById('zoom-reset').addEventListener('click', resetView);
+    setupCountrySearch();
+
+    // 6. Shared link / back-forward state
+    await restoreUrlState();
+    urlStateReady = true;
+    window.addEventListener('popstate', restoreUrlState);
     
     console.log('Map initialized successfully');
   } catch (err) {
@@ -92,57 +199,361 @@ async function init() {
 
 // --- Data Loading ---
 
+const FRAME_PREFETCH = 6;
+const SERIES_FRAME_CHUNK = 24; // Frames per request while sidebar series fill in
+let seriesFramesLoad = null;   // Pending loadSeriesFrames run
+let pendingLoad = null;  // { cancel } of the dataset being downloaded
+let controlsReady = false;
+
 async function loadTemperatureData() {
   try {
-    const statusDisplay = document.getElementById('current-time-display');
-    statusDisplay.textContent = 'Downloading data...';
-    
-    const response = await fetch(TEMPERATURE_DATA_URL);
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-    
-    const buffer = await response.arrayBuffer();
-    const zip = await JSZip.loadAsync(buffer);
-    
-    const jsonFile = zip.file("temperature_data.json") || zip.file("optimized_data.json");
-    if (!jsonFile) throw new Error("JSON data not found in zip");
-    
-    statusDisplay.textContent = 'Processing...';
-    const jsonString = await jsonFile.async("string");
-    const parsedData = JSON.parse(jsonString);
-
-    // 1. Process Coordinates
-    // Store raw coords globally for "Point-in-Polygon" calc
-    rawCoords = parsedData.coords; 
-    // Pre-calculate screen coords for fast rendering
-    screenCoords = rawCoords.map(d => {
-      const p = projection(d);
-      return p ? { x: p[0], y: p[1] } : null;
-    });
+    datasetManifest = await loadManifest();
+    populateScenarioPickers();
 
-    // 2. Process Temperatures
-    allTemperatureData = parsedData.temperatures || parsedData.data;
-    timePoints = Object.keys(allTemperatureData).sort();
-
-    // 3. Extract Baseline Data (2015) for Anomaly Mode
-    timePoints.forEach(dateStr => {
-      if (dateStr.startsWith("2015")) {
-        const parts = dateStr.split('-');
-        if (parts.length > 1) {
-          const month = parts[1];
-          baselineData[month] = allTemperatureData[dateStr];
-        }
-      }
-    });
+    const entry = datasetManifest.find(d => d.id === activeDataset?.id) || datasetManifest[0];
+    activateDataset(await loadDataset(entry));
 
-    // 4. Setup Controls
-    setupControls();
+    // Setup Controls
+    if (!controlsReady) {
+      setupControls();
+      controlsReady = true;
+    }
     
     // Initial Render
     renderHeatmap(0);
     
   } catch (error) {
     console.error("Error loading temperature data:", error);
-    document.getElementById('current-time-display').textContent = 'Data Load Failed';
+    showLoadError(error, loadTemperatureData);
+  }
+}
+
+async function loadManifest() {
+  let manifest = DEFAULT_MANIFEST;
+  try {
+    manifest = await d3.json(DATASET_MANIFEST_URL);
+  } catch (err) {
+    console.info('No dataset manifest, using the default dataset');
+  }
+  if (!Array.isArray(manifest?.datasets) || !manifest.datasets.length) {
+    console.warn(`${DATASET_MANIFEST_URL} has no "datasets" list, using the default dataset`);
+    manifest = DEFAULT_MANIFEST;
+  }
+
+  // Default entry first
+  const entries = manifest.datasets.slice();
+  const defaultIndex = entries.findIndex(d => d.id === manifest.default);
+  if (defaultIndex > 0) entries.unshift(entries.splice(defaultIndex, 1)[0]);
+  return entries;
+}
+
+// Loads a manifest entry once; later calls reuse the cached dataset
+async function loadDataset(entry) {
+  if (loadedDatasets.has(entry.id)) {
+    const cached = loadedDatasets.get(entry.id);
+    await updateDatasetBaseline(cached, requestedBaseline);
+    return cached;
+  }
+
+  const statusDisplay = document.getElementById('current-time-display');
+  const cancelBtn = document.getElementById('cancel-load-btn');
+
+  pendingLoad?.cancel();
+  statusDisplay.textContent = 'Downloading data...';
+  statusDisplay.removeAttribute('title');
+  if (cancelBtn) {
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.onclick = () => pendingLoad?.cancel();
+    cancelBtn.hidden = false;
+  }
+
+  const load = openDataset(entry, { projection: defaultProjection, baseline: requestedBaseline, onProgress: showLoadProgress });
+  pendingLoad = load;
+  try {
+    const dataset = await load.ready;
+    loadedDatasets.set(entry.id, dataset);
+    return dataset;
+  } finally {
+    if (pendingLoad === load) {
+      pendingLoad = null;
+      if (cancelBtn) cancelBtn.hidden = true;
+    }
+  }
+}
+
+// Points the global data variables at a dataset
+function activateDataset(dataset) {
+  activeDataset = dataset;
+  document.title = `Surface Air Temperature (${dataset.label})`;
+
+  // Raw coords for "Point-in-Polygon" calc, screen coords projected in the worker
+  rawCoords = dataset.coords;
+  projectGrid();
+  pointWeights = computeAreaWeights(rawCoords, averagingMethod);
+
+  // Scenarios on the same grid share one country index
+  if (!spatialIndex || spatialIndex.signature !== gridSignature(rawCoords)) {
+    spatialIndex = createSpatialIndex(rawCoords);
+    gridLookup = createGridLookup(rawCoords);
+    regionSamples.clear();
+    buildCountryIndex(spatialIndex)
+      .catch(err => console.error('Failed to build the country index:', err));
+  }
+
+  // Binary datasets only hold the baseline frames until more are requested
+  allTemperatureData = dataset.temperatures;
+  timePoints = dataset.timePoints;
+  baselineData = dataset.baselineData;
+
+  const slider = document.getElementById('time-slider');
+  slider.max = timePoints.length - 1;
+  if (+slider.value > timePoints.length - 1) slider.value = timePoints.length - 1;
+  if (playbackRange && playbackRange[1] > timePoints.length - 1) playbackRange = null;
+  updateLoopInputs();
+
+  document.getElementById('scenario-select').value = dataset.id;
+
+  // Custom baseline years are limited to the years in the data
+  const years = timePoints.map(d => +d.slice(0, 4));
+  ['baseline-start', 'baseline-end'].forEach(id => {
+    const input = document.getElementById(id);
+    input.min = d3.min(years);
+    input.max = d3.max(years);
+  });
+}
+
+function activeDatasets() {
+  return compareDataset ? [activeDataset, compareDataset] : [activeDataset];
+}
+
+// Resolves once the frames for these time indices are loaded in every active dataset
+function ensureFrames(indices) {
+  const dateStrs = indices.map(i => timePoints[i]).filter(Boolean);
+  return Promise.all(activeDatasets().map(ds => ds.ensureFrames(dateStrs)));
+}
+
+function ensureAllFrames() {
+  return ensureFrames(d3.range(timePoints.length));
+}
+
+// Fills the country index from IndexedDB, or builds it in the background and caches it
+async function buildCountryIndex(index) {
+  const cacheKey = `${index.signature}|${WORLD_TOPOJSON_URL}`;
+
+  try {
+    const cached = await loadCachedIndex(cacheKey);
+    if (cached) {
+      index.importEntries(cached);
+      return;
+    }
+  } catch (err) {
+    console.info('Country index cache unavailable:', err.message);
+  }
+
+  await index.buildAll(worldCountries.features, getCountryId);
+  if (index !== spatialIndex) return;
+
+  saveCachedIndex(cacheKey, index.exportEntries())
+    .catch(err => console.info('Could not cache country index:', err.message));
+}
+
+// --- Baseline ---
+
+// Recomputes a dataset's climatology if it was built for another baseline period.
+// If a newer period was requested while the frames loaded, that one is computed instead.
+async function updateDatasetBaseline(dataset, period) {
+  const current = dataset.baselinePeriod;
+  if (current.startYear === period.startYear && current.endYear === period.endYear) return;
+
+  await dataset.ensureFrames(baselineDates(dataset.timePoints, period));
+  if (period !== requestedBaseline) return updateDatasetBaseline(dataset, requestedBaseline);
+  dataset.baselineData = computeBaseline(dataset.temperatures, dataset.timePoints, period);
+  dataset.baselinePeriod = { ...period };
+}
+
+async function setBaselinePeriod(period) {
+  requestedBaseline = period;
+
+  try {
+    await Promise.all(activeDatasets().map(dataset => updateDatasetBaseline(dataset, period)));
+  } catch (err) {
+    if (period !== requestedBaseline) return;
+    console.error('Failed to compute baseline:', err);
+    // Keep the period the anomalies are actually computed with
+    requestedBaseline = baselinePeriod;
+    return;
+  }
+  if (period !== requestedBaseline) return;
+
+  baselinePeriod = period;
+  baselineData = activeDataset.baselineData;
+  updateBaselineLabels();
+
+  updateColorScale();
+  refreshSelectionCharts();
+}
+
+function updateBaselineLabels() {
+  const label = formatBaseline(baselinePeriod);
+  const infoText = document.getElementById('anomaly-info-text');
+  if (infoText) {
+    infoText.textContent = baselinePeriod.startYear === baselinePeriod.endYear
+      ? `Difference between current temperature and the ${label} baseline for the same month.`
+      : `Difference between current temperature and the ${label} mean (baseline) for the same month.`;
+  }
+}
+
+function setupBaselineControls() {
+  const select = document.getElementById('baseline-select');
+  const custom = document.getElementById('baseline-custom');
+  const startInput = document.getElementById('baseline-start');
+  const endInput = document.getElementById('baseline-end');
+
+  startInput.value = baselinePeriod.startYear;
+  endInput.value = baselinePeriod.endYear;
+
+  select.addEventListener('change', () => {
+    custom.hidden = select.value !== 'custom';
+    if (select.value === 'custom') return;
+
+    const [startYear, endYear] = select.value.split('-').map(Number);
+    startInput.value = startYear;
+    endInput.value = endYear;
+    setBaselinePeriod({ startYear, endYear });
+  });
+
+  const applyCustom = () => {
+    const startYear = +startInput.value;
+    const endYear = +endInput.value;
+    const min = +startInput.min;
+    const max = +startInput.max;
+    const valid = Number.isInteger(startYear) && Number.isInteger(endYear) &&
+      startYear <= endYear && startYear >= min && endYear <= max;
+
+    startInput.classList.toggle('is-invalid', !valid);
+    endInput.classList.toggle('is-invalid', !valid);
+    if (valid) setBaselinePeriod({ startYear, endYear });
+  };
+  startInput.addEventListener('change', applyCustom);
+  endInput.addEventListener('change', applyCustom);
+
+  updateBaselineLabels();
+}
+
+// --- Scenarios ---
+
+function populateScenarioPickers() {
+  const scenarioSelect = document.getElementById('scenario-select');
+  const compareSelect = document.getElementById('compare-select');
+
+  d3.select(scenarioSelect).selectAll('option')
+    .data(datasetManifest, d => d.id)
+    .join('option')
+    .attr('value', d => d.id)
+    .text(d => d.label);
+
+  d3.select(compareSelect).selectAll('option.scenario-option')
+    .data(datasetManifest, d => d.id)
+    .join('option')
+    .attr('class', 'scenario-option')
+    .attr('value', d => d.id)
+    .text(d => `vs ${d.label}`);
+
+  // Nothing to compare with a single scenario
+  compareSelect.hidden = datasetManifest.length < 2;
+}
+
+async function selectScenario(id) {
+  const entry = datasetManifest.find(d => d.id === id);
+  if (!entry || entry.id === activeDataset?.id) return;
+
+  try {
+    const dataset = await loadDataset(entry);
+    if (compareDataset?.id === dataset.id) {
+      compareDataset = null;
+      document.getElementById('compare-select').value = '';
+    }
+    if (compareDataset && gridSignature(compareDataset.coords) !== gridSignature(dataset.coords)) {
+      compareDataset = null;
+      document.getElementById('compare-select').value = '';
+    }
+
+    activateDataset(dataset);
+    updateColorScale();
+    refreshSelectionCharts();
+  } catch (error) {
+    console.error(`Error loading scenario ${id}:`, error);
+    document.getElementById('scenario-select').value = activeDataset?.id ?? '';
+    showLoadError(error, () => selectScenario(id));
+  }
+}
+
+async function selectComparison(id) {
+  const compareSelect = document.getElementById('compare-select');
+  const entry = datasetManifest.find(d => d.id === id);
+
+  try {
+    if (!entry || entry.id === activeDataset.id) {
+      compareDataset = null;
+      compareSelect.value = '';
+    } else {
+      const dataset = await loadDataset(entry);
+      if (gridSignature(dataset.coords) !== gridSignature(rawCoords)) {
+        throw new DataLoadError({
+          code: 'GRID_MISMATCH',
+          stage: 'compare',
+          message: `${dataset.label} uses a different grid than ${activeDataset.label}`
+        });
+      }
+      compareDataset = dataset;
+    }
+
+    updateColorScale();
+    refreshSelectionCharts();
+  } catch (error) {
+    console.error(`Error loading comparison ${id}:`, error);
+    compareSelect.value = compareDataset?.id ?? '';
+    showLoadError(error, error.code === 'GRID_MISMATCH' ? null : () => selectComparison(id));
+  }
+}
+
+function showLoadProgress({ stage, loaded, total, percent }) {
+  const statusDisplay = document.getElementById('current-time-display');
+
+  if (stage === 'download') {
+    const mb = (loaded / 1048576).toFixed(1);
+    statusDisplay.textContent = total
+      ? `Downloading ${mb} / ${(total / 1048576).toFixed(1)} MB`
+      : `Downloading ${mb} MB`;
+  } else if (stage === 'unzip') {
+    statusDisplay.textContent = `Unzipping ${Math.round(percent)}%`;
+  } else if (stage === 'parse') {
+    statusDisplay.textContent = `Parsing ${Math.round(percent)}%`;
+  }
+}
+
+function showLoadError(error, retry) {
+  const statusDisplay = document.getElementById('current-time-display');
+  const cancelBtn = document.getElementById('cancel-load-btn');
+
+  const messages = {
+    CANCELLED: 'Load cancelled',
+    NETWORK: 'Network error',
+    HTTP: `Load failed (HTTP ${error.status})`,
+    UNZIP: 'Load failed (bad zip)',
+    MISSING_ENTRY: 'Load failed (no data in zip)',
+    PARSE: 'Load failed (bad data)',
+    GRID_MISMATCH: 'Scenario grids differ'
+  };
+
+  statusDisplay.textContent = messages[error.code] || 'Data Load Failed';
+  statusDisplay.title = error.stage ? `[${error.stage}] ${error.message}` : error.message;
+
+  // Offer a retry in place of the cancel button
+  if (cancelBtn) {
+    cancelBtn.textContent = 'Retry';
+    cancelBtn.onclick = retry;
+    cancelBtn.hidden = !retry;
   }
 }
 
@@ -150,25 +561,306 @@ async function loadTemperatureData() {
 
 function renderHeatmap(timeIndex) {
   if (!timePoints.length) return;
+  scheduleUrlStateUpdate();
 
   const currentTime = timePoints[timeIndex];
-  document.getElementById('current-time-display').textContent = currentTime;
+  const annualMean = playbackStep === 'annual-mean';
+  document.getElementById('current-time-display').textContent =
+    annualMean ? `${currentTime.slice(0, 4)} (annual mean)` : currentTime;
+
+  if (mapMode === 'trend') {
+    renderTrendMap(timeIndex);
+    return;
+  }
+  if (mapMode === 'exceedance-count') {
+    renderExceedanceCount(timeIndex);
+    return;
+  }
   
-  const currentTemps = allTemperatureData[currentTime];
+  const frameIndices = displayedFrameIndices(timeIndex);
+  if (!framesReady(frameIndices)) {
+    // Frame not fetched yet (binary dataset): render once it arrives
+    ensureFrames(frameIndices)
+      .then(() => {
+        if (+document.getElementById('time-slider').value === timeIndex) renderHeatmap(timeIndex);
+      })
+      .catch(err => console.error(`Failed to load frame ${currentTime}:`, err));
+    return;
+  }
+
+  // Prefetch upcoming frames so playback doesn't wait on the network
+  const prefetchEnd = Math.min(timeIndex + 1 + FRAME_PREFETCH, timePoints.length);
+  ensureFrames(d3.range(timeIndex + 1, prefetchEnd))
+    .catch(err => console.error('Frame prefetch failed:', err));
+
+  if (mapMode === 'exceedance') {
+    renderExceedanceMap(timeIndex, frameIndices);
+    return;
+  }
+
+  const values = mapFrameValues(frameIndices);
+
+  // Calculate and display global average temperature (area-weighted unless disabled)
+  const globalAvg = weightedMean(values, pointWeights);
   
+  const avgDisplay = document.getElementById('global-avg-temp');
+  if (avgDisplay && globalAvg !== undefined) {
+    const shown = toDisplayUnit(globalAvg, colorScaleKind() === 'absolute');
+    avgDisplay.textContent = `${compareDataset ? '\u0394 ' : ''}${shown.toFixed(2)} ${unitSymbol()}`;
+  }
+
+  currentMapValues = values;
+  fitColorScale(values);
+  heatmapRenderer.draw(values, currentColorScale);
+    
+  // --- SYNC CHARTS ---
+  // Update the dot position on all sidebar charts
+  updateChartsSync(timeIndex);
+}
+
+// Warming-rate layer: linear trend of every grid point over all time points.
+// The slider keeps driving the chart markers only.
+function renderTrendMap(timeIndex) {
+  const datasets = activeDatasets();
+  const avgDisplay = document.getElementById('global-avg-temp');
+
+  if (datasets.some(ds => !gridTrendCache.has(ds))) {
+    // Trends need every frame: compute once, then redraw
+    if (avgDisplay) avgDisplay.textContent = 'Computing trend…';
+    ensureAllFrames()
+      .then(() => {
+        datasets.forEach(ds => {
+          if (!gridTrendCache.has(ds)) gridTrendCache.set(ds, computeGridTrend(ds));
+        });
+        if (mapMode === 'trend') renderHeatmap(+document.getElementById('time-slider').value);
+      })
+      .catch(err => console.error('Failed to load frames for the warming-rate map:', err));
+    return;
+  }
+
+  const values = Float32Array.from(gridTrendCache.get(activeDataset));
+  if (compareDataset) {
+    const compareValues = gridTrendCache.get(compareDataset);
+    for (let i = 0; i < values.length; i++) {
+      values[i] = compareValues[i] - values[i];
+    }
+  }
+  for (let i = 0; i < values.length; i++) {
+    if (!screenCoords[i]) values[i] = NaN;
+  }
+
+  const globalAvg = weightedMean(values, pointWeights);
+  if (avgDisplay && globalAvg !== undefined) {
+    const sign = globalAvg >= 0 ? '+' : '';
+    const shown = convertDelta(globalAvg, temperatureUnit);
+    avgDisplay.textContent = `${compareDataset ? '\u0394 ' : ''}${sign}${shown.toFixed(2)} ${unitSymbol()}/decade`;
+  }
+
+  currentMapValues = values;
+  fitColorScale(values);
+  heatmapRenderer.draw(values, currentColorScale);
+  updateChartsSync(timeIndex);
+}
+
+// Exceedance layer: how far each cell is above the threshold (blank below it).
+// Scenario A only; a comparison doesn't apply to this view.
+function renderExceedanceMap(timeIndex, frameIndices) {
+  const values = meanFrameValues(activeDataset, frameIndices.map(i => timePoints[i]));
+  const threshold = currentThreshold();
+  const above = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    if (Number.isNaN(values[i])) {
+      above[i] = NaN;
+      continue;
+    }
+    above[i] = values[i] > threshold ? 1 : 0;
+    values[i] = values[i] > threshold ? values[i] - threshold : NaN;
+  }
+
+  const share = weightedMean(above, pointWeights);
+  const avgDisplay = document.getElementById('global-avg-temp');
+  if (avgDisplay && share !== undefined) {
+    avgDisplay.textContent = `${(share * 100).toFixed(1)}% of area above ${thresholdLabel()}`;
+  }
+
+  currentMapValues = values;
+  fitColorScale(values);
+  heatmapRenderer.draw(values, currentColorScale);
+  updateChartsSync(timeIndex);
+}
+
+// Cumulative exceedance: months above the threshold from the first time step to the slider
+function renderExceedanceCount(timeIndex) {
+  const avgDisplay = document.getElementById('global-avg-temp');
+  const indices = d3.range(timeIndex + 1);
+  if (!framesReady(indices)) {
+    if (avgDisplay) avgDisplay.textContent = 'Counting exceedances…';
+    ensureFrames(indices)
+      .then(() => {
+        if (mapMode === 'exceedance-count' && +document.getElementById('time-slider').value === timeIndex) {
+          renderHeatmap(timeIndex);
+        }
+      })
+      .catch(err => console.error('Failed to load frames for the exceedance count:', err));
+    return;
+  }
+
+  const counts = exceedanceCounts(timeIndex);
+  const current = frameValues(activeDataset, timePoints[timeIndex]);
+  const values = Float32Array.from(counts, (count, i) => (Number.isNaN(current[i]) ? NaN : count));
+
+  const mean = weightedMean(values, pointWeights);
+  if (avgDisplay && mean !== undefined) {
+    avgDisplay.textContent = `${mean.toFixed(1)} of ${timeIndex + 1} months above ${thresholdLabel()}`;
+  }
+
+  currentMapValues = values;
+  fitColorScale(values);
+  heatmapRenderer.draw(values, currentColorScale);
+  updateChartsSync(timeIndex);
+}
+
+// Months above the threshold per grid point up to timeIndex. The count is kept
+// running, so playing forward only adds one frame per step.
+function exceedanceCounts(timeIndex) {
+  const threshold = currentThreshold();
+  const key = [activeDataset.id, isAnomalyMode, threshold, formatBaseline(baselinePeriod)].join('|');
+
+  let cache = exceedanceCountCache;
+  if (!cache || cache.key !== key || cache.timeIndex > timeIndex) {
+    cache = { key, timeIndex: -1, counts: new Uint16Array(rawCoords.length) };
+  }
+  for (let t = cache.timeIndex + 1; t <= timeIndex; t++) {
+    const values = frameValues(activeDataset, timePoints[t]);
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] > threshold) cache.counts[i]++;
+    }
+  }
+
+  cache.timeIndex = timeIndex;
+  exceedanceCountCache = cache;
+  return cache.counts;
+}
+
+function isExceedanceMode() {
+  return mapMode === 'exceedance' || mapMode === 'exceedance-count';
+}
+
+function currentThreshold() {
+  return exceedanceThreshold[isAnomalyMode ? 'anomaly' : 'absolute'];
+}
+
+// "308 K" or "+2 °C anomaly" in the display unit
+function thresholdLabel() {
+  const threshold = currentThreshold();
+  const unit = unitSymbol();
+  if (!isAnomalyMode) return `${+convertAbsolute(threshold, temperatureUnit).toFixed(1)} ${unit}`;
+  const shown = +convertDelta(threshold, temperatureUnit).toFixed(1);
+  return `${shown >= 0 ? '+' : ''}${shown} ${unit} anomaly`;
+}
+
+// Threshold input in the display unit, for the current mode (absolute or anomaly)
+function updateThresholdInput() {
+  const input = document.getElementById('threshold-input');
+  const threshold = currentThreshold();
+  input.value = +(isAnomalyMode
+    ? convertDelta(threshold, temperatureUnit)
+    : convertAbsolute(threshold, temperatureUnit)).toFixed(2);
+  document.getElementById('threshold-unit').textContent = isAnomalyMode ? `${unitSymbol()} anomaly` : unitSymbol();
+  document.getElementById('threshold-controls').hidden = !isExceedanceMode();
+}
+
+function setThreshold(value) {
+  if (!Number.isFinite(value)) return;
+  exceedanceThreshold[isAnomalyMode ? 'anomaly' : 'absolute'] = isAnomalyMode
+    ? deltaToKelvin(value, temperatureUnit)
+    : toKelvin(value, temperatureUnit);
+  updateColorScale();
+  refreshSelectionCharts();
+}
+
+// K/decade per grid point (seasonal cycle removed) across all time points of a dataset
+function computeGridTrend(dataset) {
+  const dates = dataset.timePoints.map(d => dateParser(d));
+  const xs = dates.map(d => d.getFullYear() + (d.getMonth() + 0.5) / 12);
+  const frames = dataset.timePoints.map(d => dataset.temperatures[d]);
+
+  const slopes = gridLinearTrends(frames, xs, dates.map(d => d.getMonth()));
+  return slopes.map(v => v * 10);
+}
+
+// Year span of the active dataset, e.g. "2015–2030"
+function timeSpanLabel() {
+  const first = timePoints[0].slice(0, 4);
+  const last = timePoints[timePoints.length - 1].slice(0, 4);
+  return first === last ? first : `${first}–${last}`;
+}
+
+// Time indices averaged into the map at a slider position (the whole year in annual-mean mode)
+function displayedFrameIndices(timeIndex) {
+  if (playbackStep !== 'annual-mean') return [timeIndex];
+
+  const year = timePoints[timeIndex].slice(0, 4);
+  return d3.range(timePoints.length).filter(i => timePoints[i].startsWith(year));
+}
+
+// True once every dataset on the map has these frames in memory
+function framesReady(indices) {
+  return activeDatasets().every(ds => indices.every(i => {
+    const dateStr = timePoints[i];
+    return !ds.timePoints.includes(dateStr) || ds.temperatures[dateStr];
+  }));
+}
+
+// Values drawn for these time indices: their mean, or scenario B minus A in difference mode
+function mapFrameValues(frameIndices) {
+  const dates = frameIndices.map(i => timePoints[i]);
+  const values = meanFrameValues(activeDataset, dates);
+
+  if (compareDataset) {
+    const compareValues = meanFrameValues(compareDataset, dates);
+    for (let i = 0; i < values.length; i++) {
+      values[i] = compareValues[i] - values[i];
+    }
+  }
+  return values;
+}
+
+// Per-grid-point mean of frameValues over several dates (NaN where all are missing)
+function meanFrameValues(dataset, dates) {
+  if (dates.length === 1) return frameValues(dataset, dates[0]);
+
+  const sums = new Float32Array(screenCoords.length);
+  const counts = new Uint16Array(screenCoords.length);
+  dates.forEach(dateStr => {
+    const values = frameValues(dataset, dateStr);
+    for (let i = 0; i < values.length; i++) {
+      if (Number.isNaN(values[i])) continue;
+      sums[i] += values[i];
+      counts[i]++;
+    }
+  });
+  return sums.map((sum, i) => (counts[i] ? sum / counts[i] : NaN));
+}
+
+// Displayed value per grid point for one dataset (absolute or anomaly, NaN = nothing to draw)
+function frameValues(dataset, dateStr) {
+  const values = new Float32Array(screenCoords.length).fill(NaN);
+  const temps = dataset.temperatures[dateStr];
+  if (!temps) return values;
+
   // Determine baseline for Anomaly Mode
   let baselineTemps = null;
   if (isAnomalyMode) {
-    const month = currentTime.split('-')[1];
-    baselineTemps = baselineData[month];
+    const month = dateStr.split('-')[1];
+    baselineTemps = dataset.baselineData[month];
+    // No climatology for this month: no anomaly either (not the absolute value)
+    if (!baselineTemps) return values;
   }
 
-  // Assemble Data
-  const renderData = [];
   for (let i = 0; i < screenCoords.length; i++) {
-    const coord = screenCoords[i];
-    if (coord) {
-      let val = currentTemps[i];
+    if (screenCoords[i]) {
+      let val = temps[i];
       
       // Calculate Anomaly if enabled
       if (isAnomalyMode && baselineTemps) {
@@ -180,44 +872,10 @@ function renderHeatmap(timeIndex) {
         }
       }
       
-      renderData.push({
-        x: coord.x,
-        y: coord.y,
-        val: val
-      });
+      values[i] = val ?? NaN;
     }
   }
-
-  // Calculate and display global average temperature
-  const validValues = renderData.map(d => d.val).filter(v => v !== null && !isNaN(v));
-  const globalAvg = d3.mean(validValues);
-  
-  const avgDisplay = document.getElementById('global-avg-temp');
-  if (avgDisplay && globalAvg !== undefined) {
-    const unit = isAnomalyMode ? "°C" : "K";
-    avgDisplay.textContent = `${globalAvg.toFixed(2)} ${unit}`;
-  }
-
-  // D3 Update Pattern
-  const circles = heatmapSvg.selectAll(".data-point")
-    .data(renderData); 
-
-  circles.exit().remove();
-
-  const circlesEnter = circles.enter()
-    .append("circle")
-    .attr("class", "data-point")
-    .attr("r", 3)
-    .attr("stroke", "none");
-
-  circlesEnter.merge(circles)
-    .attr("cx", d => d.x)
-    .attr("cy", d => d.y)
-    .attr("fill", d => currentColorScale(d.val));
-    
-  // --- SYNC CHARTS ---
-  // Update the dot position on all sidebar charts
-  updateChartsSync(timeIndex);
+  return values;
 }
 
 // --- Interactions ---
@@ -238,88 +896,430 @@ function setupControls() {
     playBtn.addEventListener('click', togglePlay);
   }
 
+  setupPlaybackControls();
+
   const anomalyToggle = document.getElementById('anomaly-toggle');
   if (anomalyToggle) {
     anomalyToggle.addEventListener('change', function() {
       toggleAnomalyMode(this.checked);
     });
   }
-}
 
-function togglePlay() {
-  const btn = document.getElementById('play-btn');
-  const slider = document.getElementById('time-slider');
-  
-  // Elements for UI update
-  const iconSpan = btn.querySelector('.icon');
-  const textSpan = btn.querySelector('.text');
+  document.getElementById('map-mode-select').addEventListener('change', function() {
+    setMapMode(this.value);
+  });
 
-  if (isPlaying) {
-    // === PAUSE LOGIC ===
-    clearInterval(animationInterval);
-    if (iconSpan) iconSpan.textContent = "▶";
-    if (textSpan) textSpan.textContent = "Play";
-    isPlaying = false;
-  } else {
-    // === PLAY LOGIC ===
-    if (iconSpan) iconSpan.textContent = "⏸";
-    if (textSpan) textSpan.textContent = "Pause";
-    isPlaying = true;
-    
-    animationInterval = setInterval(() => {
-      let nextVal = parseInt(slider.value) + 1;
-      if (nextVal > parseInt(slider.max)) {
-        nextVal = 0;
-      }
-      slider.value = nextVal;
-      renderHeatmap(nextVal);
-    }, 150); 
-  }
-}
+  const thresholdInput = document.getElementById('threshold-input');
+  thresholdInput.addEventListener('change', function() {
+    setThreshold(parseFloat(this.value));
+  });
+  updateThresholdInput();
+
+  const projectionSelect = document.getElementById('projection-select');
+  d3.select(projectionSelect).selectAll('option')
+    .data(Object.keys(PROJECTIONS).filter(projectionAvailable))
+    .join('option')
+    .attr('value', d => d)
+    .text(d => PROJECTIONS[d].label);
+  projectionSelect.value = projectionId;
+  projectionSelect.addEventListener('change', function() {
+    setProjection(this.value);
+  });
 
-function toggleAnomalyMode(enabled) {
-  isAnomalyMode = enabled;
-  currentColorScale = enabled ? anomalyColorScale : absoluteColorScale;
-  
-  updateLegend();
-  
-  // Refresh all existing charts in the sidebar to match new mode
-  const listItems = document.querySelectorAll('.selection-list__item');
-  listItems.forEach(item => {
-    if (item.featureData) {
-      const container = item.querySelector('.chart-container');
-      const statsContainer = item.querySelector('.stats-box'); // Changed to match class in Template
-      
-      container.innerHTML = ''; // Clear old chart
-      
-      const trendData = calculateCountryTrend(item.featureData);
-      
-      // Refresh stats
-      if (statsContainer) {
-        updateCountryStats(statsContainer, trendData);
+  document.getElementById('scenario-select').addEventListener('change', function() {
+    selectScenario(this.value);
+  });
+
+  document.getElementById('compare-select').addEventListener('change', function() {
+    selectComparison(this.value);
+  });
+
+  setupBaselineControls();
+
+  document.getElementById('coastal-toggle').addEventListener('change', function() {
+    includeCoastalCells = this.checked;
+    refreshSelectionCharts();
+  });
+
+  const trendMethodSelect = document.getElementById('trend-method-select');
+  trendMethodSelect.value = trendMethod;
+  trendMethodSelect.addEventListener('change', function() {
+    trendMethod = this.value;
+    refreshSelectionCharts();
+  });
+
+  document.querySelectorAll('.export-selection-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      exportSelection(Array.from(document.querySelectorAll('.selection-list__item')), btn.dataset.format);
+    });
+  });
+  document.getElementById('export-frame-btn').addEventListener('click', exportMapFrame);
+  setupRankingTable();
+  document.getElementById('export-png-btn').addEventListener('click', () => exportImage('png'));
+  document.getElementById('export-svg-btn').addEventListener('click', () => exportImage('svg'));
+  document.getElementById('export-webm-btn').addEventListener('click', exportAnimation);
+
+  const normalizeToggle = document.getElementById('normalize-toggle');
+  normalizeToggle.checked = normalizeComparison;
+  normalizeToggle.addEventListener('change', function() {
+    normalizeComparison = this.checked;
+    drawComparisonChart();
+  });
+
+  const deseasonalizeToggle = document.getElementById('deseasonalize-toggle');
+  deseasonalizeToggle.checked = deseasonalizeTrend;
+  deseasonalizeToggle.addEventListener('change', function() {
+    deseasonalizeTrend = this.checked;
+    refreshSelectionCharts();
+  });
+
+  setupDisplayControls();
+
+  const averagingSelect = document.getElementById('averaging-select');
+  d3.select(averagingSelect).selectAll('option')
+    .data(Object.entries(AVERAGING_METHODS))
+    .join('option')
+    .attr('value', d => d[0])
+    .text(d => d[1]);
+  averagingSelect.value = averagingMethod;
+  averagingSelect.addEventListener('change', function() {
+    setAveragingMethod(this.value);
+  });
+}
+
+// Unit, colormap and color range pickers next to the global average
+function setupDisplayControls() {
+  const fillOptions = (select, entries, value) => {
+    d3.select(select).selectAll('option')
+      .data(entries)
+      .join('option')
+      .attr('value', d => d[0])
+      .text(d => d[1]);
+    select.value = value;
+  };
+
+  const unitSelect = document.getElementById('unit-select');
+  fillOptions(unitSelect, Object.entries(TEMPERATURE_UNITS).map(([id, u]) => [id, u.symbol]), temperatureUnit);
+  unitSelect.addEventListener('change', function() {
+    setTemperatureUnit(this.value);
+  });
+
+  const colormapSelect = document.getElementById('colormap-select');
+  fillOptions(colormapSelect, Object.entries(COLORMAPS).map(([id, c]) => [id, c.label]), colormap);
+  colormapSelect.addEventListener('change', function() {
+    colormap = this.value;
+    updateColorScale();
+  });
+
+  const rangeSelect = document.getElementById('color-range-select');
+  rangeSelect.value = colorRangeMode;
+  rangeSelect.addEventListener('change', function() {
+    colorRangeMode = this.value;
+    updateColorScale();
+  });
+}
+
+function setAveragingMethod(method) {
+  averagingMethod = method;
+  pointWeights = computeAreaWeights(rawCoords, averagingMethod);
+
+  const slider = document.getElementById('time-slider');
+  renderHeatmap(+slider.value);
+  refreshSelectionCharts();
+}
+
+function togglePlay() {
+  const btn = document.getElementById('play-btn');
+  const slider = document.getElementById('time-slider');
+  
+  // Elements for UI update
+  const iconSpan = btn.querySelector('.icon');
+  const textSpan = btn.querySelector('.text');
+
+  if (isPlaying) {
+    // === PAUSE LOGIC ===
+    cancelAnimationFrame(animationFrame);
+    if (iconSpan) iconSpan.textContent = "▶";
+    if (textSpan) textSpan.textContent = "Play";
+    isPlaying = false;
+  } else {
+    // === PLAY LOGIC ===
+    if (iconSpan) iconSpan.textContent = "⏸";
+    if (textSpan) textSpan.textContent = "Pause";
+    isPlaying = true;
+
+    // Advances at most one step per animation frame, and only once the next
+    // frame's data is loaded: slow rendering slows playback instead of skipping months
+    let lastStep = performance.now();
+    const tick = now => {
+      if (!isPlaying) return;
+
+      if (now - lastStep >= PLAYBACK_INTERVAL / playbackSpeed) {
+        const nextVal = nextPlaybackIndex(+slider.value, 1);
+        const frameIndices = displayedFrameIndices(nextVal);
+        if (framesReady(frameIndices)) {
+          slider.value = nextVal;
+          renderHeatmap(nextVal);
+          lastStep = now;
+        } else {
+          ensureFrames(frameIndices).catch(err => console.error('Frame prefetch failed:', err));
+        }
       }
+      animationFrame = requestAnimationFrame(tick);
+    };
+    animationFrame = requestAnimationFrame(tick);
+  }
+}
+
+// Next (direction 1) or previous (-1) time index for playback and stepping,
+// wrapping around inside the loop window
+function nextPlaybackIndex(current, direction) {
+  const [start, end] = playbackRange || [0, timePoints.length - 1];
+  const month = timePoints[current].slice(5, 7);
+
+  // Positions a step can land on
+  const anchors = d3.range(start, end + 1).filter(i => {
+    if (playbackStep === 'same-month') return timePoints[i].slice(5, 7) === month;
+    if (playbackStep === 'annual-mean') return i === start || timePoints[i].slice(0, 4) !== timePoints[i - 1].slice(0, 4);
+    return true;
+  });
+  if (!anchors.length) return current;
 
-      drawDetailedChart(container, trendData, item.dataset.countryId);
+  if (direction > 0) return anchors.find(i => i > current) ?? anchors[0];
+  return anchors.slice().reverse().find(i => i < current) ?? anchors[anchors.length - 1];
+}
+
+function stepPlayback(direction) {
+  if (isPlaying) togglePlay();
+  jumpToTimeIndex(nextPlaybackIndex(+document.getElementById('time-slider').value, direction));
+}
+
+function setupPlaybackControls() {
+  document.getElementById('step-back-btn').addEventListener('click', () => stepPlayback(-1));
+  document.getElementById('step-fwd-btn').addEventListener('click', () => stepPlayback(1));
+
+  const speedSelect = document.getElementById('speed-select');
+  speedSelect.value = playbackSpeed;
+  speedSelect.addEventListener('change', function() {
+    playbackSpeed = +this.value;
+  });
+
+  const stepSelect = document.getElementById('playback-step-select');
+  stepSelect.value = playbackStep;
+  stepSelect.addEventListener('change', function() {
+    playbackStep = this.value;
+    renderHeatmap(+document.getElementById('time-slider').value);
+  });
+
+  // Loop window as months; the brush on the sidebar charts sets the same range
+  const startInput = document.getElementById('loop-start');
+  const endInput = document.getElementById('loop-end');
+  const applyLoop = () => {
+    const start = timePoints.findIndex(d => d.startsWith(startInput.value));
+    const end = timePoints.findLastIndex(d => d.startsWith(endInput.value));
+    const valid = start >= 0 && end > start;
+
+    startInput.classList.toggle('is-invalid', !valid);
+    endInput.classList.toggle('is-invalid', !valid);
+    if (valid) setPlaybackRange(start === 0 && end === timePoints.length - 1 ? null : [start, end]);
+  };
+  startInput.addEventListener('change', applyLoop);
+  endInput.addEventListener('change', applyLoop);
+  document.getElementById('loop-clear-btn').addEventListener('click', () => setPlaybackRange(null));
+  updateLoopInputs();
+
+  // Space: play/pause, arrows: step (not while typing in a form field)
+  document.addEventListener('keydown', event => {
+    const target = event.target;
+    if (target.closest('input, select, textarea, button, [contenteditable="true"]')) return;
+    if (event.altKey || event.ctrlKey || event.metaKey || isRecording) return;
+
+    if (event.key === ' ') {
+      event.preventDefault();
+      togglePlay();
+    } else if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+      event.preventDefault();
+      stepPlayback(event.key === 'ArrowRight' ? 1 : -1);
     }
   });
+}
+
+// Shows the loop window (or the whole series) in the month inputs
+function updateLoopInputs() {
+  const startInput = document.getElementById('loop-start');
+  const endInput = document.getElementById('loop-end');
+  if (!timePoints.length) return;
+
+  const [start, end] = playbackRange || [0, timePoints.length - 1];
+  const month = i => timePoints[i].slice(0, 7);
+  [startInput, endInput].forEach(input => {
+    input.min = month(0);
+    input.max = month(timePoints.length - 1);
+    input.classList.remove('is-invalid');
+  });
+  startInput.value = month(start);
+  endInput.value = month(end);
+  document.getElementById('loop-clear-btn').hidden = !playbackRange;
+}
+
+function toggleAnomalyMode(enabled) {
+  isAnomalyMode = enabled;
+  updateThresholdInput();
+  updateColorScale();
+  refreshSelectionCharts();
+}
+
+function setMapMode(mode) {
+  const exceedanceChanged = isExceedanceMode() !== (mode === 'exceedance' || mode === 'exceedance-count');
+  mapMode = mode;
+  updateThresholdInput();
+  updateColorScale();
+
+  // Sidebar items show the exceeding area only in the exceedance views
+  if (exceedanceChanged) refreshSelectionCharts();
+}
+
+// Picks the color scale for the current mode and redraws the map
+function updateColorScale() {
+  setColorRange(colorRangeMode === 'dataset' && FRAME_KINDS.includes(colorScaleKind()) ? datasetColorRange() : null);
 
   const slider = document.getElementById('time-slider');
   renderHeatmap(+slider.value);
 }
 
+// What the map shows: 'absolute' (K), 'anomaly', 'difference' (B minus A), 'trend' (K/decade),
+// 'exceedance' (K above the threshold) or 'exceedance-count' (months)
+function colorScaleKind() {
+  if (mapMode !== 'monthly') return mapMode;
+  if (compareDataset) return 'difference';
+  return isAnomalyMode ? 'anomaly' : 'absolute';
+}
+
+// Rebuilds the color scale over `range` (data units, fixed range if null) and its legend
+function setColorRange(range) {
+  const kind = colorScaleKind();
+  colorRange = range || fixedColorRange(kind);
+  currentColorScale = createColorScale(colormap, DIVERGING_KINDS.includes(kind), colorRange);
+  updateLegend();
+}
+
+function fixedColorRange(kind) {
+  // Exceedance count: up to the number of months shown so far
+  if (kind === 'exceedance-count') return [0, Math.max(1, +document.getElementById('time-slider').value + 1)];
+  return FIXED_COLOR_RANGES[kind];
+}
+
+// Fits the color scale to the values about to be drawn (auto range, or the fixed
+// range, which moves with the slider for the exceedance count).
+// Trend and exceedance maps fit to what is drawn in both auto modes.
+function fitColorScale(values) {
+  const kind = colorScaleKind();
+  let range = null;
+  if (colorRangeMode === 'dataset' && FRAME_KINDS.includes(kind)) {
+    range = datasetColorRange();
+  } else if (colorRangeMode !== 'fixed') {
+    range = percentileRange(values, DIVERGING_KINDS.includes(kind));
+  }
+  range = range || fixedColorRange(kind);
+  if (range[0] !== colorRange[0] || range[1] !== colorRange[1]) setColorRange(range);
+}
+
+// Auto range over the whole dataset, from evenly spaced frames.
+// null until known: the frames are loaded and the map redrawn once it is.
+function datasetColorRange() {
+  const kind = colorScaleKind();
+  const key = [kind, ...activeDatasets().map(ds => ds.id), kind === 'anomaly' ? formatBaseline(baselinePeriod) : '']
+    .join('|');
+  if (datasetRangeCache.has(key)) return datasetRangeCache.get(key);
+
+  const step = Math.max(1, Math.ceil(timePoints.length / DATASET_RANGE_FRAMES));
+  const indices = d3.range(0, timePoints.length, step);
+  datasetRangeCache.set(key, null);
+  ensureFrames(indices)
+    .then(() => {
+      const sample = new Float32Array(indices.length * screenCoords.length);
+      indices.forEach((timeIndex, k) => sample.set(mapFrameValues([timeIndex]), k * screenCoords.length));
+      datasetRangeCache.set(key, percentileRange(sample, DIVERGING_KINDS.includes(kind)));
+      if (colorRangeMode === 'dataset') updateColorScale();
+    })
+    .catch(err => {
+      datasetRangeCache.delete(key);
+      console.error('Failed to load frames for the color range:', err);
+    });
+  return null;
+}
+
+function setTemperatureUnit(unit) {
+  temperatureUnit = unit;
+  updateThresholdInput();
+  updateLegend();
+  renderHeatmap(+document.getElementById('time-slider').value);
+  refreshSelectionCharts();
+}
+
+// Refresh all existing charts in the sidebar to match the current mode/scenarios
+async function refreshSelectionCharts() {
+  redrawSelectionCharts();
+  refreshRankingTable();
+
+  // Only selected items need full series: with none, frames keep loading lazily
+  if (!document.querySelector('.selection-list__item')) return;
+  try {
+    await loadSeriesFrames();
+  } catch (err) {
+    console.error('Failed to load frames for trends:', err);
+  }
+}
+
+// Sidebar charts and the comparison chart from the frames loaded so far
+function redrawSelectionCharts() {
+  document.querySelectorAll('.selection-list__item').forEach(item => {
+    if (item.featureData) {
+      renderSelectionItem(item);
+    }
+  });
+  drawComparisonChart();
+
+  const slider = document.getElementById('time-slider');
+  updateChartsSync(+slider.value);
+}
+
+// Fetches the frames the sidebar series still miss, SERIES_FRAME_CHUNK at a time,
+// redrawing the charts after each chunk so they fill in progressively.
+// Stops once the selection is empty; concurrent calls share one run.
+function loadSeriesFrames() {
+  if (!seriesFramesLoad) {
+    seriesFramesLoad = (async () => {
+      const missingFrames = () => d3.range(timePoints.length).filter(i => !framesReady([i]));
+      let missing = missingFrames();
+      while (missing.length && document.querySelector('.selection-list__item')) {
+        await ensureFrames(missing.slice(0, SERIES_FRAME_CHUNK));
+        redrawSelectionCharts();
+
+        // Guard against a chunk that resolved without adding frames
+        const remaining = missingFrames();
+        if (remaining.length >= missing.length) return;
+        missing = remaining;
+      }
+    })().finally(() => {
+      seriesFramesLoad = null;
+    });
+  }
+  return seriesFramesLoad;
+}
+
 // --- Layers & Geometry ---
 
 function setupLayers() {
+  const mapEl = document.getElementById('map');
 
-  const heatmapContainer = d3.select('#map').append('svg')
-    .attr('id', 'heatmap-container')
-    .attr('viewBox', `0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`)
-    .style('position', 'absolute')
-    .style('top', 0).style('left', 0);
-  
-  heatmapSvg = heatmapContainer.append('g').attr('id', 'heatmap-content-group'); 
+  // Heatmap goes first so the overlay (ocean mask, countries) stays on top
+  heatmapRenderer = HEATMAP_RENDERERS[HEATMAP_RENDERER](mapEl, {
+    width: MAP_WIDTH,
+    height: MAP_HEIGHT
+  });
     
-  const overlayContainer = d3.select('#map').append('svg')
+  const overlayContainer = d3.select(mapEl).append('svg')
     .attr('id', 'overlay-container')
     .attr('viewBox', `0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`)
     .style('position', 'absolute')
@@ -409,10 +1409,84 @@ function setupZoom(container) {
   zoomBehavior = d3.zoom() 
     .scaleExtent([1, 8])
     // Limit translation so map doesn't float away (fix for whitespace)
-    .translateExtent([[0, 0], [MAP_WIDTH, MAP_HEIGHT]]) 
+    .translateExtent(geoPath.bounds({ type: 'Sphere' }))
+    // While drawing a region, dragging draws instead of panning, and on the globe
+    // it rotates instead (wheel zoom still works)
+    .filter(event => ((!drawMode && !PROJECTIONS[projectionId].draggable) || event.type === 'wheel') &&
+      (!event.ctrlKey || event.type === 'wheel') && !event.button)
     .on("zoom", zoomed);
 
   container.call(zoomBehavior);
+  setupGlobeDrag(container);
+}
+
+// Dragging the globe turns it under the pointer (one radian per globe radius)
+function setupGlobeDrag(container) {
+  container.call(d3.drag()
+    .filter(event => PROJECTIONS[projectionId].draggable && !drawMode && !event.button && !isPinClick(event))
+    .on('drag', event => {
+      const [lambda, phi] = projection.rotate();
+      const degreesPerPixel = 180 / Math.PI / (projection.scale() * currentTransform.k);
+      projection.rotate([
+        lambda + event.dx * degreesPerPixel,
+        Math.max(-90, Math.min(90, phi - event.dy * degreesPerPixel))
+      ]);
+
+      // Re-projecting the grid is heavy: at most once per animation frame
+      if (!projectionUpdateFrame) {
+        projectionUpdateFrame = requestAnimationFrame(() => {
+          projectionUpdateFrame = null;
+          updateProjection();
+        });
+      }
+    }));
+}
+
+function setProjection(id) {
+  if (!projectionAvailable(id)) return;
+
+  projectionId = id;
+  projection = createProjection(id, MAP_WIDTH, MAP_HEIGHT);
+  document.getElementById('projection-select').value = id;
+  updateProjection();
+
+  // The old zoom doesn't mean anything in the new layout
+  d3.select('#overlay-container').call(zoomBehavior.transform, d3.zoomIdentity);
+}
+
+// Re-projects everything on the map after the projection (or the globe's rotation) changed
+function updateProjection() {
+  geoPath.projection(projection);
+  projectGrid();
+  zoomBehavior.translateExtent(geoPath.bounds({ type: 'Sphere' }));
+
+  // Every overlay path with a GeoJSON datum: ocean mask, countries, outlines
+  overlayLayer.selectAll('path').filter(d => d).attr('d', geoPath);
+  updatePinMarkers();
+  updateDrawPreview();
+
+  renderHeatmap(+document.getElementById('time-slider').value);
+}
+
+// Screen positions of the active grid in the current projection, handed to the renderer
+function projectGrid() {
+  screenCoords = projectionId === DEFAULT_PROJECTION
+    ? activeDataset.screenCoords
+    : projectPoints(rawCoords, projection);
+  heatmapRenderer.setGrid({ rawCoords, screenCoords, projection });
+}
+
+// Lon/lat under a point of the overlay (zoom undone), null off the map or on the hidden side
+function invertPoint(point) {
+  const [x, y] = currentTransform.invert(point);
+  const lonLat = projection.invert([x, y]);
+  if (!lonLat || !lonLat.every(Number.isFinite)) return null;
+  if (Math.abs(lonLat[0]) > 180 || Math.abs(lonLat[1]) > 90) return null;
+  if (!visibilityTest(projection)(lonLat)) return null;
+
+  // Outside the map outline the inverse still returns something: it must project back to the pointer
+  const [px, py] = projection(lonLat);
+  return Math.hypot(px - x, py - y) < 1 ? lonLat : null;
 }
 
 function handleZoom(direction) {
@@ -425,7 +1499,7 @@ function handleZoom(direction) {
   }
 }
 
-//
+// Gradient of the active color scale, labelled in the display unit
 function updateLegend() {
   const canvas = document.getElementById('legend-canvas');
   if (!canvas) return;
@@ -434,25 +1508,46 @@ function updateLegend() {
   
   ctx.clearRect(0, 0, 200, 20);
   const gradient = ctx.createLinearGradient(0, 0, 200, 0);
-  
-  if (isAnomalyMode) {
-    const stops = 10;
-    for (let i = 0; i <= stops; i++) {
-        const t = i / stops;
-        gradient.addColorStop(t, d3.interpolateRdBu(1 - t)); 
-    }
-    labelDiv.innerHTML = '<span>-5°C (Cooler)</span><span>+5°C (Warmer)</span>';
+
+  const [low, high] = colorRange;
+  const stops = 10;
+  for (let i = 0; i <= stops; i++) {
+    const t = i / stops;
+    gradient.addColorStop(t, currentColorScale(low + t * (high - low)));
+  }
+
+  const kind = colorScaleKind();
+  const unit = unitSymbol();
+  const delta = v => {
+    const shown = +convertDelta(v, temperatureUnit).toFixed(1);
+    return `${shown > 0 ? '+' : ''}${shown}${unit}`;
+  };
+  const scenarios = compareDataset
+    ? `${compareDataset.scenario || compareDataset.label} − ${activeDataset.scenario || activeDataset.label}`
+    : '';
+
+  let labels;
+  if (kind === 'trend') {
+    const caption = scenarios || (timePoints.length ? `${timeSpanLabel()} trend` : 'Trend');
+    labels = [`${delta(low)}/dec`, caption, `${delta(high)}/dec`];
+  } else if (kind === 'exceedance') {
+    labels = [delta(low), `above ${thresholdLabel()}`, delta(high)];
+  } else if (kind === 'exceedance-count') {
+    const since = timePoints.length ? ` since ${timePoints[0].slice(0, 7)}` : '';
+    labels = [`${Math.round(low)} mo`, `above ${thresholdLabel()}${since}`, `${Math.round(high)} mo`];
+  } else if (kind === 'difference') {
+    labels = [delta(low), scenarios, delta(high)];
+  } else if (kind === 'anomaly') {
+    labels = [`${delta(low)} (Cooler)`, `vs ${formatBaseline(baselinePeriod)}`, `${delta(high)} (Warmer)`];
   } else {
-    const infernoColors = [
-      { stop: 0, color: '#000004' },
-      { stop: 0.25, color: '#57106e' },
-      { stop: 0.5, color: '#bc3754' },
-      { stop: 0.75, color: '#f98e09' },
-      { stop: 1, color: '#fcffa4' }
-    ];
-    infernoColors.forEach(c => gradient.addColorStop(c.stop, c.color));
-    labelDiv.innerHTML = '<span>230K (-43°C)</span><span>310K (37°C)</span>';
+    const absolute = v => `${+convertAbsolute(v, temperatureUnit).toFixed(1)}${unit}`;
+    labels = [absolute(low), absolute(high)];
   }
+  // Scenario names come from the manifest: text nodes, never markup
+  d3.select(labelDiv).selectAll('span')
+    .data(labels)
+    .join('span')
+    .text(d => d);
   
   ctx.fillStyle = gradient;
   ctx.fillRect(0, 0, 200, 20);
@@ -464,20 +1559,10 @@ function updateLegend() {
 
 function handleMouseEnter(event, feature) {
   const countryId = getCountryId(feature);
-  const countryName = getCountryName(feature);
   window.isOverCountry = true;
-  
-  let content = `<strong>${countryName}</strong><br/>`;
-  
-  // Add lon/lat info if available
-  const lonLat = window.currentMouseLonLat;
-  if (lonLat) {
-    content += `Lon: ${lonLat.lon}°, Lat: ${lonLat.lat}°<br/>`;
-  }
-  
-  content += "Click to reveal trends";
+  window.hoveredCountryName = getCountryName(feature);
 
-  tooltip.style('opacity', 1).html(content);
+  tooltip.style('opacity', 1).html(tooltipContent());
 
   if (!revealedCountries.has(countryId)) {
     d3.select(event.target).classed('country--hover', true);
@@ -497,6 +1582,8 @@ function handleMouseLeave(event, feature) {
 }
 
 function handleClick(event, feature) {
+  if (drawMode || isPinClick(event)) return; // Handled by setupDrawing / setupPins
+
   const countryId = getCountryId(feature);
   const countryName = getCountryName(feature);
   const element = d3.select(event.target);
@@ -514,222 +1601,1539 @@ function handleClick(event, feature) {
   updateBorderStyle(countryId, revealedCountries.has(countryId));
 }
 
-// --- Sidebar & Chart Logic ---
+// Same as clicking an unrevealed country (used when restoring state)
+function revealCountry(feature) {
+  const countryId = getCountryId(feature);
+  if (revealedCountries.has(countryId)) return;
+
+  revealedCountries.add(countryId);
+  overlayLayer
+    .select('.country-masks')
+    .selectAll('path.country')
+    .filter(d => getCountryId(d) === countryId)
+    .classed('country--revealed', true);
+  addToSelectionList(countryId, getCountryName(feature), feature);
+  updateBorderStyle(countryId, true);
+}
+
+// --- Sidebar & Chart Logic ---
+
+function addToSelectionList(id, name, feature, { editableName = false } = {}) {
+  const list = document.getElementById('selection-list');
+  const template = document.getElementById('sidebar-item-template');
+  
+  // Clone the template content
+  const clone = template.content.cloneNode(true);
+  const item = clone.querySelector('li');
+  
+  // Set data attributes
+  item.dataset.countryId = id;
+  item.featureData = feature; 
+  
+  // 1. Set Country Name
+  const nameEl = item.querySelector('.country-name');
+  nameEl.textContent = name;
+  if (editableName) {
+    nameEl.contentEditable = 'true';
+    nameEl.spellcheck = false;
+    nameEl.title = 'Click to rename';
+    nameEl.classList.add('is-editable');
+    nameEl.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        nameEl.blur();
+      }
+    });
+    nameEl.addEventListener('blur', () => {
+      const newName = nameEl.textContent.trim();
+      if (newName) feature.properties.name = newName;
+      nameEl.textContent = feature.properties.name;
+      drawComparisonChart();
+    });
+  }
+  
+  // 2. Setup Remove Button
+  const removeBtn = item.querySelector('.remove-btn');
+  removeBtn.onclick = () => removeCountry(id);
+
+  // Clicking the header (not its buttons or an editable name) zooms to the item
+  const header = item.querySelector('.item-header');
+  header.title = 'Click to zoom to this item';
+  header.addEventListener('click', event => {
+    if (event.target.closest('button, .is-editable')) return;
+    zoomToFeature(feature);
+  });
+
+  // 3. Export Buttons
+  item.querySelectorAll('.export-btn').forEach(btn => {
+    btn.onclick = () => exportSelection([item], btn.dataset.format);
+  });
+
+  // Append to DOM
+  list.appendChild(item);
+  scheduleUrlStateUpdate();
+
+  // Calculate & Draw
+  setTimeout(async () => {
+    renderSelectionItem(item);
+    drawComparisonChart();
+
+    // Sync immediately
+    const slider = document.getElementById('time-slider');
+    updateChartsSync(+slider.value); 
+
+    // Trends need every frame (binary datasets load them lazily): the chart fills in
+    try {
+      await loadSeriesFrames();
+    } catch (err) {
+      console.error('Failed to load frames for trend:', err);
+      if (!item.trendData) {
+        item.querySelector('.chart-container').innerHTML =
+          '<span style="font-size:0.7rem;color:#ef4444;">Data load failed</span>';
+      }
+    }
+  }, 50);
+}
+
+// Recomputes stats and chart of one sidebar item (one chart line per scenario)
+function renderSelectionItem(item) {
+  const feature = item.featureData;
+  const statsContainer = item.querySelector('.stats-box');
+  const chartContainer = item.querySelector('.chart-container');
+
+  const trendData = calculateCountryTrend(feature);
+  item.trendData = trendData && trendData.length ? trendData : null;
+  updateSampleBadge(item, getRegionSample(feature));
+  
+  // Clear loading text / old chart
+  chartContainer.innerHTML = ''; 
+
+  if (trendData && trendData.length > 0) {
+    // Stats and chart in the display unit (item.trendData stays in K for the exports)
+    const shown = displaySeries(trendData, !isAnomalyMode);
+    const trend = computeTrendStats(shown);
+    const exceedance = isExceedanceMode() ? calculateExceedanceSeries(feature) : null;
+    updateCountryStats(statsContainer, shown, trend, exceedance);
+
+    // Draw Chart
+    const extraSeries = compareDataset
+      ? [{ label: compareDataset.label, data: displaySeries(calculateCountryTrend(feature, compareDataset), !isAnomalyMode) }]
+      : [];
+    drawDetailedChart(chartContainer, shown, item.dataset.countryId, extraSeries, trend, exceedance);
+  } else {
+    chartContainer.chartMeta = null;
+    chartContainer.innerHTML = '<span style="font-size:0.7rem;color:#ef4444;">No data</span>';
+    statsContainer.style.display = 'none';
+  }
+}
+
+// --- Pins ---
+
+// Modifier-click anywhere on the map (ocean included) drops a pin
+function isPinClick(event) {
+  return event.shiftKey || event.altKey;
+}
+
+function setupPins(container) {
+  overlayLayer.append('g').attr('class', 'pin-markers');
+
+  container.on('click.pin', function(event) {
+    if (drawMode || !isPinClick(event)) return;
+
+    const lonLat = invertPoint(d3.pointer(event, this));
+    if (lonLat) addPin(lonLat[0], lonLat[1]);
+  });
+}
+
+function addPin(lon, lat) {
+  const id = `pin-${++pinCounter}`;
+  const name = `Pin ${Math.abs(lat).toFixed(2)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(2)}°${lon >= 0 ? 'E' : 'W'}`;
+  const feature = {
+    type: 'Feature',
+    id,
+    properties: { name },
+    geometry: { type: 'Point', coordinates: [lon, lat] }
+  };
+
+  pins.set(id, feature);
+  updatePinMarkers();
+  addToSelectionList(id, name, feature);
+}
+
+// Markers live in the zoomed overlay; their size is kept constant on screen
+function updatePinMarkers() {
+  const k = currentTransform.k;
+  const isVisible = visibilityTest(projection);
+
+  overlayLayer.select('.pin-markers')
+    .selectAll('circle.pin-marker')
+    .data(Array.from(pins.values()), d => d.id)
+    .join('circle')
+    .attr('class', 'pin-marker')
+    .attr('cx', d => projection(d.geometry.coordinates)[0])
+    .attr('cy', d => projection(d.geometry.coordinates)[1])
+    .attr('display', d => (isVisible(d.geometry.coordinates) ? null : 'none'))
+    .attr('r', 4 / k)
+    .attr('stroke-width', 1.5 / k);
+}
+
+// --- Region Groups ---
+
+// Continents, latitude bands and (optional) IPCC AR6 regions in one picker
+function setupRegionGroups(topology) {
+  const select = document.getElementById('region-group-select');
+
+  const addGroup = (label, features) => {
+    if (!features.length) return;
+    features.forEach(f => regionGroups.set(f.id, f));
+
+    d3.select(select).append('optgroup')
+      .attr('label', label)
+      .selectAll('option')
+      .data(features)
+      .join('option')
+      .attr('value', d => d.id)
+      .text(d => d.properties.name);
+  };
+
+  addGroup('Continents', continentFeatures(topology));
+  addGroup('Latitude bands', latitudeBandFeatures());
+  // Shared links may select AR6 regions: applyUrlState waits for them
+  regionGroupsReady = loadAr6Regions()
+    .then(features => {
+      if (features) {
+        addGroup('IPCC AR6 land regions', features);
+        return;
+      }
+      // Say why the group is missing instead of leaving it out silently
+      d3.select(select).append('optgroup')
+        .attr('label', 'IPCC AR6 land regions')
+        .append('option')
+        .property('disabled', true)
+        .text(`Unavailable: ${AR6_REGIONS_URL} could not be loaded`);
+    })
+    .catch(err => console.error('Failed to add the IPCC AR6 regions:', err));
+
+  select.addEventListener('change', function() {
+    const feature = regionGroups.get(this.value);
+    this.value = '';
+    if (!feature || document.querySelector(`li[data-country-id="${feature.id}"]`)) return;
+
+    addToSelectionList(feature.id, feature.properties.name, feature);
+  });
+}
+
+// --- Custom Regions ---
+
+// Rectangle: drag a lon/lat box. Polygon: click vertices, double-click (or click
+// the first vertex) to close. The tool stays active until its button or Escape
+// is pressed, so the click ending a shape never reaches the countries below.
+function setupDrawing(container) {
+  overlayLayer.append('g').attr('class', 'custom-regions');
+  overlayLayer.append('path').attr('class', 'draw-preview');
+
+  const rectBtn = document.getElementById('draw-rect-btn');
+  const polygonBtn = document.getElementById('draw-polygon-btn');
+  rectBtn.addEventListener('click', () => setDrawMode(drawMode === 'rectangle' ? null : 'rectangle'));
+  polygonBtn.addEventListener('click', () => setDrawMode(drawMode === 'polygon' ? null : 'polygon'));
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && drawMode) setDrawMode(null);
+  });
+
+  // Lon/lat under the pointer (null off the map)
+  const pointerLonLat = event => invertPoint(d3.pointer(event, container.node()));
+
+  container
+    .on('pointerdown.draw', event => {
+      if (drawMode !== 'rectangle' || event.button) return;
+      const start = pointerLonLat(event);
+      if (!start) return;
+      drawState = { start, current: start };
+      container.node().setPointerCapture(event.pointerId);
+    })
+    .on('pointermove.draw', event => {
+      if (!drawMode || !drawState) return;
+      drawState.current = pointerLonLat(event) || drawState.current;
+      updateDrawPreview();
+    })
+    .on('pointerup.draw', event => {
+      if (drawMode !== 'rectangle' || !drawState) return;
+      const [[lon0, lat0], [lon1, lat1]] = [drawState.start, pointerLonLat(event) || drawState.current];
+      drawState = null;
+      updateDrawPreview();
+
+      if (Math.abs(lon1 - lon0) > 0.1 && Math.abs(lat1 - lat0) > 0.1) {
+        addCustomRegion(lonLatBox(Math.min(lon0, lon1), Math.min(lat0, lat1), Math.max(lon0, lon1), Math.max(lat0, lat1)));
+      }
+    })
+    .on('click.draw', event => {
+      if (drawMode !== 'polygon') return;
+      const point = pointerLonLat(event);
+      if (!point) return;
+
+      drawState = drawState || { vertices: [], current: point };
+      const { vertices } = drawState;
+      if (vertices.length >= 3 && screenDistance(point, vertices[0]) < 8) {
+        finishPolygon();
+      } else if (!vertices.length || screenDistance(point, vertices[vertices.length - 1]) > 3) {
+        vertices.push(point);
+        updateDrawPreview();
+      }
+    })
+    .on('dblclick.draw', () => {
+      if (drawMode === 'polygon') finishPolygon();
+    });
+}
+
+function setDrawMode(mode) {
+  drawMode = mode;
+  drawState = null;
+  updateDrawPreview();
+
+  document.getElementById('draw-rect-btn').classList.toggle('is-active', mode === 'rectangle');
+  document.getElementById('draw-polygon-btn').classList.toggle('is-active', mode === 'polygon');
+  d3.select('#overlay-container').classed('is-drawing', Boolean(mode));
+}
+
+function finishPolygon() {
+  const vertices = drawState?.vertices || [];
+  if (vertices.length < 3) return;
+
+  const ring = [...vertices, vertices[0]];
+  const feature = { type: 'Feature', geometry: { type: 'Polygon', coordinates: [ring] } };
+  // d3-geo wants the exterior ring clockwise: a "larger than a hemisphere" result means it was drawn the other way
+  if (d3.geoArea(feature) > 2 * Math.PI) ring.reverse();
+
+  drawState = null;
+  updateDrawPreview();
+  addCustomRegion(feature.geometry);
+}
+
+// Distance between two lon/lat points in screen pixels at the current zoom
+function screenDistance(a, b) {
+  const [ax, ay] = projection(a);
+  const [bx, by] = projection(b);
+  return Math.hypot(ax - bx, ay - by) * currentTransform.k;
+}
+
+function updateDrawPreview() {
+  let shape = null;
+  if (drawState && drawMode === 'rectangle') {
+    const [[lon0, lat0], [lon1, lat1]] = [drawState.start, drawState.current];
+    shape = lonLatBox(Math.min(lon0, lon1), Math.min(lat0, lat1), Math.max(lon0, lon1), Math.max(lat0, lat1));
+  } else if (drawState && drawMode === 'polygon') {
+    shape = { type: 'LineString', coordinates: [...drawState.vertices, drawState.current] };
+  }
+
+  overlayLayer.select('.draw-preview')
+    .attr('d', shape ? geoPath(shape) : null);
+}
+
+function addCustomRegion(geometry) {
+  const id = `region-${++regionCounter}`;
+  const name = `Region ${regionCounter}`;
+  const feature = { type: 'Feature', id, properties: { name }, geometry };
+
+  customRegions.set(id, feature);
+  updateCustomRegionOutlines();
+  addToSelectionList(id, name, feature, { editableName: true });
+}
+
+function updateCustomRegionOutlines() {
+  overlayLayer.select('.custom-regions')
+    .selectAll('path.custom-region')
+    .data(Array.from(customRegions.values()), d => d.id)
+    .join('path')
+    .attr('class', 'custom-region')
+    .attr('d', geoPath);
+}
+
+// Grid points (and their weights) that represent a feature.
+// method: 'inside'       - points inside the polygon, area weighted
+//         'coastal'      - plus cells partly overlapping the border, area weighted
+//         'interpolated' - no point inside: bilinear interpolation at the centroid
+//         'nearest'      - no point inside: nearest grid point to the centroid
+//         'point'        - pins: the grid point nearest the pin
+function getRegionSample(feature) {
+  const id = getCountryId(feature);
+  const key = `${id}|${includeCoastalCells}`;
+  if (regionSamples.has(key)) return regionSamples.get(key);
+
+  if (feature.geometry.type === 'Point') {
+    const [lon, lat] = feature.geometry.coordinates;
+    const sample = { indices: Int32Array.of(gridLookup.nearest(lon, lat)), weights: null, method: 'point' };
+    regionSamples.set(key, sample);
+    return sample;
+  }
+
+  // Precomputed (or cached on first use) grid indices inside the feature
+  const inside = spatialIndex.indicesFor(id, feature);
+  let sample = { indices: inside, weights: null, method: 'inside' };
+
+  if (includeCoastalCells) {
+    const touching = spatialIndex.overlappingFor(id, feature, gridLookup.dLon, gridLookup.dLat);
+    if (touching.length > inside.length) {
+      sample = { indices: touching, weights: null, method: 'coastal' };
+    }
+  }
+
+  if (sample.indices.length === 0) {
+    const [lon, lat] = d3.geoCentroid(feature);
+    const interpolated = gridLookup.bilinear(lon, lat);
+    sample = interpolated.indices.length > 1
+      ? { ...interpolated, method: 'interpolated' }
+      : { indices: Int32Array.of(gridLookup.nearest(lon, lat)), weights: null, method: 'nearest' };
+  }
+
+  regionSamples.set(key, sample);
+  return sample;
+}
+
+// Marks items whose values don't come from grid points inside the country
+function updateSampleBadge(item, sample) {
+  const badge = item.querySelector('.sample-badge');
+  if (!badge) return;
+
+  const labels = {
+    coastal: ['+ coastal cells', 'Includes grid cells that only partly overlap the border'],
+    interpolated: ['≈ interpolated', 'No grid point inside: values interpolated at the centroid'],
+    nearest: ['≈ nearest cell', 'No grid point inside: values from the grid point nearest the centroid'],
+    point: ['grid cell', 'Values from the grid point nearest the pin']
+  };
+  const label = labels[sample.method];
+
+  badge.hidden = !label;
+  badge.textContent = label ? label[0] : '';
+  badge.title = label ? label[1] : '';
+  if (sample.method === 'point') {
+    const [lon, lat] = rawCoords[sample.indices[0]];
+    badge.title += ` (${lon.toFixed(2)}°, ${lat.toFixed(2)}°)`;
+  }
+}
+
+// 1. Calculate Trend (Point-in-Polygon via the spatial index)
+function calculateCountryTrend(feature, dataset = activeDataset) {
+  if (!rawCoords || rawCoords.length === 0) return null;
+
+  const sample = getRegionSample(feature);
+  if (sample.indices.length === 0) return null;
+
+  return dataset.timePoints.map(dateStr => {
+    const temps = dataset.temperatures[dateStr];
+    // Frame not loaded yet (see loadSeriesFrames)
+    if (!temps) return null;
+    
+    // Anomaly calc
+    let baselineTemps = null;
+    if (isAnomalyMode) {
+        const month = dateStr.split('-')[1];
+        baselineTemps = dataset.baselineData[month];
+        // No climatology for this month: no anomaly, the step is left out
+        if (!baselineTemps) return null;
+    }
+
+    let sum = 0;
+    let weightSum = 0;
+
+    sample.indices.forEach((idx, k) => {
+      let val = temps[idx];
+      if (isAnomalyMode && baselineTemps) {
+         val = val - baselineTemps[idx];
+      }
+      if (Number.isNaN(val)) return;
+      // Interpolation weights for fallback samples, area weights otherwise
+      const weight = sample.weights ? sample.weights[k] : pointWeights[idx];
+      sum += val * weight;
+      weightSum += weight;
+    });
+
+    return {
+      date: dateParser(dateStr), 
+      val: weightSum > 0 ? sum / weightSum : 0,
+      rawDate: dateStr
+    };
+  }).filter(Boolean);
+}
+
+// Share (%) of a region's area above the exceedance threshold, per time step.
+// Same sample (indices and weights) as calculateCountryTrend.
+function calculateExceedanceSeries(feature, dataset = activeDataset) {
+  const sample = getRegionSample(feature);
+  if (sample.indices.length === 0) return null;
+
+  const threshold = currentThreshold();
+  return dataset.timePoints.map(dateStr => {
+    const temps = dataset.temperatures[dateStr];
+    const baselineTemps = isAnomalyMode ? dataset.baselineData[dateStr.split('-')[1]] : null;
+    // Frame not loaded yet, or a month outside the baseline climatology (no anomaly to compare)
+    if (!temps || (isAnomalyMode && !baselineTemps)) return { date: dateParser(dateStr), val: NaN, rawDate: dateStr };
+
+    let above = 0;
+    let weightSum = 0;
+    sample.indices.forEach((idx, k) => {
+      let val = temps[idx];
+      if (baselineTemps) val = val - baselineTemps[idx];
+      if (Number.isNaN(val)) return;
+      const weight = sample.weights ? sample.weights[k] : pointWeights[idx];
+      weightSum += weight;
+      if (val > threshold) above += weight;
+    });
+
+    return {
+      date: dateParser(dateStr),
+      val: weightSum > 0 ? (100 * above) / weightSum : NaN,
+      rawDate: dateStr
+    };
+  });
+}
+
+// 2. Draw D3 Chart with Axes & Sync Marker
+// extraSeries: [{ label, data }] drawn as additional lines (other scenarios)
+// trend: result of computeTrendStats, overlaid as a dashed fit line
+// exceedance: result of calculateExceedanceSeries, shaded behind the lines (0–100% of the chart height)
+function drawDetailedChart(container, data, countryId, extraSeries = [], trend = null, exceedance = null) {
+  const width = container.clientWidth || 250;
+  const height = 100;
+  const margin = {top: 10, right: 10, bottom: 20, left: 35};
+
+  const svg = d3.select(container)
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  // Scales
+  const x = d3.scaleTime()
+    .domain(d3.extent(data, d => d.date))
+    .range([margin.left, width - margin.right]);
+
+  const allValues = [data, ...extraSeries.map(s => s.data || [])].flat().map(d => d.val);
+  const y = d3.scaleLinear()
+    .domain(d3.extent(allValues))
+    .range([height - margin.bottom, margin.top]);
+
+  // Axes
+  svg.append("g")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(4).tickFormat(d3.timeFormat("%Y")).tickSizeOuter(0))
+    .attr("color", "#64748b")
+    .style("font-size", "9px");
+
+  svg.append("g")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).ticks(4))
+    .attr("color", "#64748b")
+    .style("font-size", "9px");
+    
+  svg.append("text")
+    .attr("x", 2)
+    .attr("y", 10)
+    .style("font-size", "9px")
+    .style("fill", "#64748b")
+    .text(unitSymbol());
+
+  // Exceeding area on its own 0–100% scale
+  if (exceedance) {
+    const yShare = d3.scaleLinear()
+      .domain([0, 100])
+      .range([height - margin.bottom, margin.top]);
+
+    svg.append("path")
+      .datum(exceedance)
+      .attr("class", "exceedance-area")
+      .attr("d", d3.area()
+        .defined(d => !Number.isNaN(d.val))
+        .x(d => x(d.date))
+        .y0(yShare(0))
+        .y1(d => yShare(d.val))
+        .curve(d3.curveStepAfter));
+  }
+
+  // Line
+  const line = d3.line()
+    .x(d => x(d.date))
+    .y(d => y(d.val))
+    .curve(d3.curveMonotoneX);
+
+  svg.append("path")
+    .datum(data)
+    .attr("fill", "none")
+    .attr("stroke", isAnomalyMode ? "#ef4444" : "#3b82f6")
+    .attr("stroke-width", 1.5)
+    .attr("d", line);
+
+  // Trend overlay: deseasonalized series (if used for the fit) and the fit line
+  if (trend) {
+    if (trend.series) {
+      svg.append("path")
+        .datum(trend.series)
+        .attr("class", "deseasonalized-line")
+        .attr("fill", "none")
+        .attr("stroke", "#334155")
+        .attr("stroke-width", 1)
+        .attr("stroke-opacity", 0.7)
+        .attr("d", line);
+    }
+
+    svg.append("line")
+      .attr("class", "trend-line")
+      .attr("x1", x(trend.fitLine[0].date))
+      .attr("y1", y(trend.fitLine[0].val))
+      .attr("x2", x(trend.fitLine[1].date))
+      .attr("y2", y(trend.fitLine[1].val))
+      .attr("stroke", "#0f172a")
+      .attr("stroke-width", 1.2)
+      .attr("stroke-dasharray", "4 3");
+  }
+
+  // One extra line per compared scenario, labelled top right
+  if (extraSeries.length) {
+    const scenarioColors = ["#f59e0b", "#10b981", "#8b5cf6"];
+    const labels = svg.append("g")
+      .attr("class", "scenario-labels")
+      .style("font-size", "8px")
+      .attr("text-anchor", "end");
+
+    labels.append("text")
+      .attr("x", width - margin.right)
+      .attr("y", 8)
+      .style("fill", isAnomalyMode ? "#ef4444" : "#3b82f6")
+      .text(activeDataset.label);
+
+    extraSeries.forEach((series, i) => {
+      const color = scenarioColors[i % scenarioColors.length];
+      if (series.data) {
+        svg.append("path")
+          .datum(series.data)
+          .attr("fill", "none")
+          .attr("stroke", color)
+          .attr("stroke-width", 1.2)
+          .attr("d", line);
+      }
+
+      labels.append("text")
+        .attr("x", width - margin.right)
+        .attr("y", 17 + i * 9)
+        .style("fill", color)
+        .text(series.label);
+    });
+  }
+
+  // Sync Marker Group (Hidden initially)
+  const markerGroup = svg.append("g")
+    .attr("class", "sync-marker-group")
+    .attr("id", `marker-${countryId}`)
+    .style("display", "none");
+
+  // Halo
+  markerGroup.append("circle")
+    .attr("r", 6)
+    .attr("fill", isAnomalyMode ? "rgba(239, 68, 68, 0.3)" : "rgba(59, 130, 246, 0.3)");
+
+  // Dot
+  markerGroup.append("circle")
+    .attr("r", 3.5)
+    .attr("fill", isAnomalyMode ? "#ef4444" : "#3b82f6")
+    .attr("stroke", "white")
+    .attr("stroke-width", 1.5);
+    
+
+  //tamperture text
+  markerGroup.append("text")
+    .attr("class", "sync-temp-label")
+    .attr("y", 15)
+    .attr("text-anchor", "middle")
+    .style("font-size", "10px")
+    .style("font-weight", "600")
+    .style("fill", "#1e3a8a");
+
+  // Hover readout: exact date and value under the cursor
+  const hoverGroup = svg.append("g")
+    .attr("class", "chart-hover")
+    .style("display", "none");
+
+  hoverGroup.append("line")
+    .attr("y1", margin.top)
+    .attr("y2", height - margin.bottom);
+
+  const hoverLabel = hoverGroup.append("text")
+    .attr("y", margin.top + 2)
+    .style("font-size", "9px");
+
+  // Brush: drag selects the playback loop, a plain click jumps to that month
+  const bisect = d3.bisector(d => d.date).center;
+  const indexAt = px => timePoints.indexOf(data[bisect(data, x.invert(px))].rawDate);
+
+  const brush = d3.brushX()
+    .extent([[margin.left, margin.top], [width - margin.right, height - margin.bottom]])
+    .on("end", ({ selection, sourceEvent }) => {
+      if (!sourceEvent) return; // Moved programmatically (see syncChartBrushes)
+
+      if (selection) {
+        const start = indexAt(selection[0]);
+        const end = indexAt(selection[1]);
+        setPlaybackRange(end > start ? [start, end] : null);
+      } else {
+        const [mx] = d3.pointer(sourceEvent, svg.node());
+        jumpToTimeIndex(indexAt(mx));
+        syncChartBrushes();
+      }
+    });
+
+  const brushGroup = svg.append("g")
+    .attr("class", "chart-brush")
+    .call(brush)
+    .on("mousemove.hover", function(event) {
+      const [mx] = d3.pointer(event, svg.node());
+      const index = bisect(data, x.invert(mx));
+      const point = data[index];
+      if (!point) return;
+
+      const px = x(point.date);
+      const unit = unitSymbol();
+      // Series may skip steps (months without a baseline): match by date, not position
+      const exceeding = exceedance?.find(d => d.rawDate === point.rawDate);
+      const share = Number.isFinite(exceeding?.val) ? ` · ${exceeding.val.toFixed(0)}% above` : '';
+      hoverGroup.style("display", null);
+      hoverGroup.select("line").attr("x1", px).attr("x2", px);
+      hoverLabel
+        .attr("x", px > width / 2 ? px - 4 : px + 4)
+        .attr("text-anchor", px > width / 2 ? "end" : "start")
+        .text(`${d3.timeFormat("%b %Y")(point.date)}: ${point.val.toFixed(2)} ${unit}${share}`);
+    })
+    .on("mouseleave.hover", () => hoverGroup.style("display", "none"));
+
+  // Attach metadata to DOM for sync function
+  container.chartMeta = { x, y, data, brush, brushGroup };
+  syncChartBrushes();
+}
+
+// --- Export ---
+
+// Unit of the values currently on the map
+function mapUnit() {
+  if (mapMode === 'trend') return 'K/decade';
+  if (mapMode === 'exceedance') return 'K above threshold';
+  if (mapMode === 'exceedance-count') return 'months';
+  return (isAnomalyMode || compareDataset) ? '°C' : 'K';
+}
+
+// Monthly series of one sidebar item plus everything needed to interpret it
+function seriesExport(item) {
+  const sample = getRegionSample(item.featureData);
+  return {
+    id: item.dataset.countryId,
+    name: item.querySelector('.country-name').textContent,
+    scenario: activeDataset.label,
+    mode: isAnomalyMode ? 'anomaly' : 'absolute',
+    unit: isAnomalyMode ? '°C' : 'K',
+    baseline: formatBaseline(baselinePeriod),
+    averaging: averagingMethod,
+    sampling: sample.method,
+    series: item.trendData.map(d => ({ date: d.rawDate.slice(0, 10), value: +d.val.toFixed(4) }))
+  };
+}
+
+// Downloads the series of the given sidebar items as one CSV (long format) or JSON file
+function exportSelection(items, format) {
+  const exports = items.filter(item => item.trendData).map(seriesExport);
+  if (!exports.length) return;
+
+  const mode = isAnomalyMode ? 'anomaly' : 'absolute';
+  const base = exports.length === 1 ? slugify(exports[0].name) : 'selection';
+  const filename = `${base}_${slugify(activeDataset.id)}_${mode}`;
+
+  if (format === 'json') {
+    const content = { exported: new Date().toISOString(), items: exports };
+    downloadFile(`${filename}.json`, JSON.stringify(content, null, 2), 'application/json');
+    return;
+  }
+
+  const rows = exports.flatMap(({ series, ...meta }) => series.map(point => ({ ...meta, ...point })));
+  const columns = ['id', 'name', 'date', 'value', 'unit', 'mode', 'baseline', 'scenario', 'averaging', 'sampling'];
+  downloadFile(`${filename}.csv`, toCsv(rows, columns), 'text/csv');
+}
+
+// Grid values of the frame on the map (lon, lat, value), metadata as # comments
+function exportMapFrame() {
+  if (!currentMapValues) return;
+
+  const dateStr = timePoints[+document.getElementById('time-slider').value];
+  const mode = mapMode !== 'monthly' ? mapMode : (isAnomalyMode ? 'anomaly' : 'absolute');
+  const rows = [];
+  rawCoords.forEach(([lon, lat], i) => {
+    const value = currentMapValues[i];
+    if (Number.isFinite(value)) rows.push({ lon, lat, value: +value.toFixed(4) });
+  });
+
+  const comments = [
+    mapMode === 'trend' ? `period=${timeSpanLabel()}` : `date=${dateStr}`,
+    `mode=${mode}`,
+    `unit=${mapUnit()}`,
+    `scenario=${activeDataset.label}` + (compareDataset ? ` (difference: ${compareDataset.label} minus ${activeDataset.label})` : ''),
+    ...(isAnomalyMode ? [`baseline=${formatBaseline(baselinePeriod)}`] : []),
+    ...(isExceedanceMode() ? [`threshold=${currentThreshold()} ${isAnomalyMode ? 'K anomaly' : 'K'}`] : [])
+  ];
+  const stamp = mapMode === 'trend' ? timeSpanLabel() : dateStr.slice(0, 7);
+  downloadFile(`map_${stamp}_${mode}.csv`, toCsv(rows, ['lon', 'lat', 'value'], comments), 'text/csv');
+}
+
+// --- Image Export ---
+
+// Everything image-export.js needs for one snapshot of the current view
+function snapshotParts() {
+  const dateStr = timePoints[+document.getElementById('time-slider').value];
+
+  let title = isAnomalyMode ? 'Surface air temperature anomaly' : 'Surface air temperature';
+  if (mapMode === 'trend') title = `Warming rate (${unitSymbol()}/decade)`;
+  else if (mapMode === 'exceedance') title = `Area above ${thresholdLabel()}`;
+  else if (mapMode === 'exceedance-count') title = `Months above ${thresholdLabel()}`;
+  else if (compareDataset) title = 'Surface air temperature difference';
+
+  return {
+    heatmap: heatmapRenderer.node,
+    overlay: document.getElementById('overlay-container'),
+    legend: document.getElementById('legend-canvas'),
+    legendLabels: Array.from(document.querySelectorAll('#legend-labels span'), span => span.textContent),
+    title,
+    timestamp: mapMode === 'trend' ? timeSpanLabel() : d3.timeFormat('%B %Y')(dateParser(dateStr)),
+    credit: compareDataset ? `${compareDataset.label} − ${activeDataset.label}` : activeDataset.label,
+    mapWidth: MAP_WIDTH,
+    mapHeight: MAP_HEIGHT
+  };
+}
+
+async function exportImage(format) {
+  const dateStr = timePoints[+document.getElementById('time-slider').value];
+  const filename = `map_${mapMode === 'trend' ? timeSpanLabel() : dateStr.slice(0, 7)}`;
+
+  try {
+    if (format === 'svg') {
+      downloadFile(`${filename}.svg`, buildMapSvg(snapshotParts()), 'image/svg+xml');
+    } else {
+      const canvas = await renderMapImage(snapshotParts());
+      downloadFile(`${filename}.png`, await canvasToBlob(canvas));
+    }
+  } catch (err) {
+    console.error('Image export failed:', err);
+  }
+}
+
+// Records the playback window (brushed loop or the whole series) as WebM
+async function exportAnimation() {
+  if (isRecording) return;
+
+  const btn = document.getElementById('export-webm-btn');
+  const slider = document.getElementById('time-slider');
+  const originalIndex = +slider.value;
+  const [start, end] = playbackRange || [0, timePoints.length - 1];
+  if (isPlaying) togglePlay();
+
+  isRecording = true;
+  btn.disabled = true;
+  btn.textContent = 'Loading…';
+
+  let recorder = null;
+  try {
+    await ensureFrames(d3.range(start, end + 1));
+
+    const showFrame = async (index, canvas) => {
+      slider.value = index;
+      renderHeatmap(index);
+      return renderMapImage(snapshotParts(), canvas);
+    };
+
+    const canvas = await showFrame(start);
+    recorder = createCanvasRecorder(canvas, ANIMATION_FPS);
+    if (!recorder) throw new Error('This browser cannot record WebM video');
+
+    for (let i = start; i <= end; i++) {
+      btn.textContent = `${i - start + 1}/${end - start + 1}`;
+      if (i > start) await showFrame(i, canvas);
+      await recorder.frame();
+    }
+
+    const blob = await recorder.stop();
+    const stamp = [start, end].map(i => timePoints[i].slice(0, 7)).join('_');
+    downloadFile(`animation_${stamp}.webm`, blob);
+  } catch (err) {
+    console.error('Animation export failed:', err);
+    btn.title = err.message;
+  } finally {
+    // Also ends the recording (stream and track) when a frame failed
+    recorder?.stop();
+    isRecording = false;
+    btn.disabled = false;
+    btn.textContent = 'WebM';
+    slider.value = originalIndex;
+    renderHeatmap(originalIndex);
+  }
+}
+
+// --- URL State ---
+// The hash describes the view, e.g.
+// #t=2028-07&anomaly=1&scenario=taiesm1-ssp245&zoom=2.5/-620/-210&sel=356,586&pins=77.21/28.61
+// Every change is written after a short pause as a new history entry (replaced
+// while playing), so back/forward steps through earlier views.
+
+function scheduleUrlStateUpdate() {
+  if (!urlStateReady || restoringUrlState) return;
+
+  clearTimeout(urlStateTimer);
+  urlStateTimer = setTimeout(writeUrlState, URL_STATE_DELAY);
+}
+
+function writeUrlState() {
+  const hash = `#${serializeUrlState()}`;
+  if (hash === window.location.hash) return;
+
+  if (isPlaying) {
+    history.replaceState(null, '', hash);
+  } else {
+    history.pushState(null, '', hash);
+  }
+}
+
+function serializeUrlState() {
+  const params = new URLSearchParams();
+  const slider = document.getElementById('time-slider');
+  const selectedIds = Array.from(document.querySelectorAll('.selection-list__item'), item => item.dataset.countryId);
+
+  if (timePoints.length) params.set('t', timePoints[+slider.value].slice(0, 7));
+  if (isAnomalyMode) params.set('anomaly', '1');
+  if (mapMode !== 'monthly') params.set('map', mapMode);
+  if (isExceedanceMode()) params.set('thr', +currentThreshold().toFixed(2));
+  if (projectionId !== DEFAULT_PROJECTION) params.set('proj', projectionId);
+  if (activeDataset) params.set('scenario', activeDataset.id);
+  if (compareDataset) params.set('compare', compareDataset.id);
+  if (baselinePeriod.startYear !== DEFAULT_BASELINE.startYear || baselinePeriod.endYear !== DEFAULT_BASELINE.endYear) {
+    params.set('baseline', `${baselinePeriod.startYear}-${baselinePeriod.endYear}`);
+  }
+
+  const { k, x, y } = currentTransform;
+  if (k !== 1 || x !== 0 || y !== 0) params.set('zoom', `${+k.toFixed(3)}/${Math.round(x)}/${Math.round(y)}`);
+
+  // Countries and region groups by id, pins by position (drawn regions aren't kept)
+  const sel = selectedIds.filter(id => revealedCountries.has(id) || regionGroups.has(id));
+  if (sel.length) params.set('sel', sel.join(','));
+
+  const pinCoords = selectedIds
+    .filter(id => pins.has(id))
+    .map(id => pins.get(id).geometry.coordinates.map(v => v.toFixed(2)).join('/'));
+  if (pinCoords.length) params.set('pins', pinCoords.join(','));
+
+  // Keep the separators readable
+  return params.toString().replace(/%2C/g, ',').replace(/%2F/g, '/');
+}
+
+// applyUrlState for the load and popstate call sites: a failure (dataset or frames
+// of a stale hash) is reported in the status line with a retry, not left unhandled
+function restoreUrlState() {
+  return applyUrlState().catch(err => {
+    console.error('Failed to restore the view from the URL:', err);
+    showLoadError(err, restoreUrlState);
+  });
+}
+
+// Brings the view in line with the URL hash (on load and on back/forward)
+async function applyUrlState() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  clearTimeout(urlStateTimer);
+  restoringUrlState = true;
+
+  try {
+    // 1. Data: scenario, comparison, baseline
+    const scenario = params.get('scenario');
+    if (scenario && scenario !== activeDataset?.id) {
+      document.getElementById('scenario-select').value = scenario;
+      await selectScenario(scenario);
+    }
+
+    const compare = params.get('compare') || '';
+    if (compare !== (compareDataset?.id ?? '')) {
+      document.getElementById('compare-select').value = compare;
+      await selectComparison(compare);
+    }
+
+    const [startYear, endYear] = (params.get('baseline') || `${DEFAULT_BASELINE.startYear}-${DEFAULT_BASELINE.endYear}`)
+      .split('-').map(Number);
+    if (Number.isInteger(startYear) && Number.isInteger(endYear) &&
+        (startYear !== baselinePeriod.startYear || endYear !== baselinePeriod.endYear)) {
+      const select = document.getElementById('baseline-select');
+      const preset = `${startYear}-${endYear}`;
+      select.value = Array.from(select.options).some(o => o.value === preset) ? preset : 'custom';
+      document.getElementById('baseline-custom').hidden = select.value !== 'custom';
+      document.getElementById('baseline-start').value = startYear;
+      document.getElementById('baseline-end').value = endYear;
+      await setBaselinePeriod({ startYear, endYear });
+    }
+
+    // 2. Display mode
+    const anomaly = params.get('anomaly') === '1';
+    const modeSelect = document.getElementById('map-mode-select');
+    const mode = Array.from(modeSelect.options).some(o => o.value === params.get('map')) ? params.get('map') : 'monthly';
+    const threshold = parseFloat(params.get('thr'));
+    const thresholdKey = anomaly ? 'anomaly' : 'absolute';
+    const thresholdChanged = Number.isFinite(threshold) && threshold !== exceedanceThreshold[thresholdKey];
+    if (anomaly !== isAnomalyMode || mode !== mapMode || thresholdChanged) {
+      document.getElementById('anomaly-toggle').checked = anomaly;
+      modeSelect.value = mode;
+      isAnomalyMode = anomaly;
+      mapMode = mode;
+      if (thresholdChanged) exceedanceThreshold[thresholdKey] = threshold;
+      updateThresholdInput();
+      updateColorScale();
+      refreshSelectionCharts();
+    }
+
+    // 3. Time step
+    const month = params.get('t');
+    const timeIndex = month ? timePoints.findIndex(d => d.startsWith(month)) : 0;
+    const slider = document.getElementById('time-slider');
+    if (timeIndex >= 0 && timeIndex !== +slider.value) {
+      if (isPlaying) togglePlay();
+      slider.value = timeIndex;
+      renderHeatmap(timeIndex);
+    }
+
+    // 4. Projection and zoom
+    const proj = params.get('proj') || DEFAULT_PROJECTION;
+    if (proj !== projectionId) setProjection(proj);
+
+    const [k, x, y] = (params.get('zoom') || '1/0/0').split('/').map(Number);
+    if ([k, x, y].every(Number.isFinite) && (k !== currentTransform.k || x !== currentTransform.x || y !== currentTransform.y)) {
+      d3.select('#overlay-container').call(zoomBehavior.transform, d3.zoomIdentity.translate(x, y).scale(k));
+    }
+
+    // 5. Selection (AR6 region ids only resolve once their file is loaded)
+    await regionGroupsReady;
+    applyUrlSelection(params);
+  } finally {
+    restoringUrlState = false;
+  }
+
+  // Normalize the restored hash in place (unknown ids, clamped zoom, ...)
+  const hash = `#${serializeUrlState()}`;
+  if (hash !== window.location.hash) history.replaceState(null, '', hash);
+}
+
+function applyUrlSelection(params) {
+  const wanted = new Set((params.get('sel') || '').split(',').filter(Boolean));
 
-function addToSelectionList(id, name, feature) {
-  const list = document.getElementById('selection-list');
-  const template = document.getElementById('sidebar-item-template');
-  
-  // Clone the template content
-  const clone = template.content.cloneNode(true);
-  const item = clone.querySelector('li');
-  
-  // Set data attributes
-  item.dataset.countryId = id;
-  item.featureData = feature; 
-  
-  // 1. Set Country Name
-  const nameEl = item.querySelector('.country-name');
-  nameEl.textContent = name;
-  
-  // 2. Setup Remove Button
-  const removeBtn = item.querySelector('.remove-btn');
-  removeBtn.onclick = () => removeCountry(id);
+  Array.from(revealedCountries).forEach(id => {
+    if (!wanted.has(id)) window.removeCountry(id);
+  });
+  Array.from(document.querySelectorAll('.selection-list__item'), item => item.dataset.countryId)
+    .filter(id => regionGroups.has(id) && !wanted.has(id))
+    .forEach(id => window.removeCountry(id));
+
+  wanted.forEach(id => {
+    if (document.querySelector(`li[data-country-id="${id}"]`)) return;
+
+    const country = worldCountries.features.find(f => getCountryId(f) === id);
+    if (country) {
+      revealCountry(country);
+    } else if (regionGroups.has(id)) {
+      const feature = regionGroups.get(id);
+      addToSelectionList(id, feature.properties.name, feature);
+    }
+  });
 
-  // 3. Get Containers
-  const statsContainer = item.querySelector('.stats-box');
-  const chartContainer = item.querySelector('.chart-container');
-  
-  // Append to DOM
-  list.appendChild(item);
+  // Pins are recreated only if their positions changed
+  const pinParam = params.get('pins') || '';
+  const currentPins = Array.from(pins.values(), f => f.geometry.coordinates.map(v => v.toFixed(2)).join('/')).join(',');
+  if (pinParam !== currentPins) {
+    Array.from(pins.keys()).forEach(id => window.removeCountry(id));
+    pinParam.split(',').filter(Boolean).forEach(pin => {
+      const [lon, lat] = pin.split('/').map(Number);
+      if (Number.isFinite(lon) && Number.isFinite(lat)) addPin(lon, lat);
+    });
+  }
+}
 
-  // Calculate & Draw
-  setTimeout(() => {
-    const trendData = calculateCountryTrend(feature);
-    
-    // Clear loading text
-    chartContainer.innerHTML = ''; 
-
-    if (trendData && trendData.length > 0) {
-        // Update Stats
-        updateCountryStats(statsContainer, trendData);
-
-        // Draw Chart
-        drawDetailedChart(chartContainer, trendData, id);
-        
-        // Sync immediately
-        const slider = document.getElementById('time-slider');
-        updateChartsSync(+slider.value); 
-    } else {
-        chartContainer.innerHTML = '<span style="font-size:0.7rem;color:#ef4444;">No data</span>';
-        statsContainer.style.display = 'none';
-    }
-  }, 50);
+// --- Chart Navigation ---
+
+function jumpToTimeIndex(index) {
+  if (index < 0) return;
+  if (isPlaying) togglePlay();
+
+  const slider = document.getElementById('time-slider');
+  slider.value = index;
+  renderHeatmap(index);
 }
 
-// 1. Calculate Trend (Point-in-Polygon)
-function calculateCountryTrend(feature) {
-  if (!rawCoords || rawCoords.length === 0) return null;
+// Limits the playback loop to [start, end] (null = whole series)
+function setPlaybackRange(range) {
+  playbackRange = range;
+  updateLoopInputs();
 
-  const indicesInCountry = [];
-  for (let i = 0; i < rawCoords.length; i++) {
-    const coord = rawCoords[i];
-    if (d3.geoContains(feature, coord)) {
-      indicesInCountry.push(i);
-    }
+  if (range) {
+    const slider = document.getElementById('time-slider');
+    if (+slider.value < range[0] || +slider.value > range[1]) jumpToTimeIndex(range[0]);
   }
 
-  if (indicesInCountry.length === 0) return null;
+  syncChartBrushes();
+}
 
-  return timePoints.map(dateStr => {
-    const temps = allTemperatureData[dateStr];
-    
-    // Anomaly calc
-    let baselineTemps = null;
-    if (isAnomalyMode) {
-        const month = dateStr.split('-')[1];
-        baselineTemps = baselineData[month];
-    }
+// Shows the playback range as the brush selection on every chart
+function syncChartBrushes() {
+  document.querySelectorAll('.chart-container').forEach(container => {
+    const meta = container.chartMeta;
+    if (!meta?.brush) return;
 
-    let sum = 0;
-    let count = 0;
+    const selection = playbackRange && playbackRange[1] < timePoints.length
+      ? playbackRange.map(i => meta.x(dateParser(timePoints[i])))
+      : null;
+    meta.brushGroup.call(meta.brush.move, selection);
+  });
+}
 
-    indicesInCountry.forEach(idx => {
-      let val = temps[idx];
-      if (isAnomalyMode && baselineTemps) {
-         val = val - baselineTemps[idx];
-      }
-      sum += val;
-      count++;
-    });
+// 3. Sync Logic (Called by renderHeatmap)
+function updateChartsSync(timeIndex) {
+  const containers = document.querySelectorAll('.chart-container');
+  
+  containers.forEach(container => {
+    const meta = container.chartMeta;
+    if (!meta) return;
 
-    return {
-      date: dateParser(dateStr), 
-      val: count > 0 ? sum / count : 0,
-      rawDate: dateStr
-    };
+    const { x, y, data } = meta;
+    const currentPoint = data.find(d => d.rawDate === timePoints[timeIndex]);
+
+    if (currentPoint) {
+      const svg = d3.select(container).select('svg');
+      const marker = svg.select('.sync-marker-group');
+
+      marker
+        .style("display", "block")
+        .attr("transform", `translate(${x(currentPoint.date)}, ${y(currentPoint.val)})`);
+
+      const tempValue = currentPoint.val.toFixed(2);
+      const unit = unitSymbol();
+      // const dateStr = d3.timeFormat("%b %Y")(currentPoint.date);
+
+      //update tamperture
+      marker.select(".sync-temp-label")
+        .text(`${tempValue} ${unit}`);
+    }
   });
+
+  syncComparisonChart(timeIndex);
+  syncRankingTable(timeIndex);
 }
 
-// 2. Draw D3 Chart with Axes & Sync Marker
-function drawDetailedChart(container, data, countryId) {
-  const width = container.clientWidth || 250;
-  const height = 100;
+// --- Comparison Chart ---
+
+// One line per selected item on a shared axis (shown once two items have data)
+function drawComparisonChart() {
+  const panel = document.getElementById('comparison-panel');
+  const container = document.getElementById('comparison-chart');
+  const legend = document.getElementById('comparison-legend');
+  if (!panel) return;
+
+  const series = Array.from(document.querySelectorAll('.selection-list__item'))
+    .filter(item => item.trendData)
+    .map((item, i) => ({
+      id: item.dataset.countryId,
+      name: item.querySelector('.country-name').textContent,
+      color: d3.schemeTableau10[i % 10],
+      data: displaySeries(normalizeComparison ? normalizeSeries(item.trendData) : item.trendData,
+        !isAnomalyMode && !normalizeComparison)
+    }));
+
+  container.innerHTML = '';
+  container.chartMeta = null;
+  panel.hidden = series.length < 2;
+  if (panel.hidden) return;
+
+  const width = container.clientWidth || 300;
+  const height = 180;
   const margin = {top: 10, right: 10, bottom: 20, left: 35};
+  const unit = unitSymbol();
 
   const svg = d3.select(container)
     .append("svg")
     .attr("width", width)
     .attr("height", height);
 
-  // Scales
+  // Shared scales
+  const allPoints = series.flatMap(s => s.data);
   const x = d3.scaleTime()
-    .domain(d3.extent(data, d => d.date))
+    .domain(d3.extent(allPoints, d => d.date))
     .range([margin.left, width - margin.right]);
-
   const y = d3.scaleLinear()
-    .domain(d3.extent(data, d => d.val))
+    .domain(d3.extent(allPoints, d => d.val))
+    .nice()
     .range([height - margin.bottom, margin.top]);
 
-  // Axes
   svg.append("g")
     .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(d3.axisBottom(x).ticks(4).tickFormat(d3.timeFormat("%Y")).tickSizeOuter(0))
+    .call(d3.axisBottom(x).ticks(6).tickFormat(d3.timeFormat("%Y")).tickSizeOuter(0))
     .attr("color", "#64748b")
     .style("font-size", "9px");
 
   svg.append("g")
     .attr("transform", `translate(${margin.left},0)`)
-    .call(d3.axisLeft(y).ticks(4))
+    .call(d3.axisLeft(y).ticks(5))
     .attr("color", "#64748b")
     .style("font-size", "9px");
-    
+
   svg.append("text")
     .attr("x", 2)
     .attr("y", 10)
     .style("font-size", "9px")
     .style("fill", "#64748b")
-    .text(isAnomalyMode ? "°C" : "K");
+    .text(unit);
 
-  // Line
   const line = d3.line()
     .x(d => x(d.date))
     .y(d => y(d.val))
     .curve(d3.curveMonotoneX);
 
-  svg.append("path")
-    .datum(data)
+  svg.append("g")
+    .attr("class", "comparison-lines")
+    .selectAll("path")
+    .data(series)
+    .join("path")
     .attr("fill", "none")
-    .attr("stroke", isAnomalyMode ? "#ef4444" : "#3b82f6")
-    .attr("stroke-width", 1.5)
-    .attr("d", line);
+    .attr("stroke", d => d.color)
+    .attr("stroke-width", 1.3)
+    .attr("d", d => line(d.data));
+
+  // Current slider time
+  svg.append("line")
+    .attr("class", "comparison-time-line")
+    .attr("y1", margin.top)
+    .attr("y2", height - margin.bottom)
+    .style("display", "none");
 
-  // Sync Marker Group (Hidden initially)
-  const markerGroup = svg.append("g")
-    .attr("class", "sync-marker-group")
-    .attr("id", `marker-${countryId}`)
+  // Hover crosshair + readout
+  const crosshair = svg.append("line")
+    .attr("class", "comparison-crosshair")
+    .attr("y1", margin.top)
+    .attr("y2", height - margin.bottom)
     .style("display", "none");
 
-  // Halo
-  markerGroup.append("circle")
-    .attr("r", 6)
-    .attr("fill", isAnomalyMode ? "rgba(239, 68, 68, 0.3)" : "rgba(59, 130, 246, 0.3)");
+  const readout = d3.select(container).append("div")
+    .attr("class", "comparison-readout")
+    .style("display", "none");
 
-  // Dot
-  markerGroup.append("circle")
-    .attr("r", 3.5)
-    .attr("fill", isAnomalyMode ? "#ef4444" : "#3b82f6")
-    .attr("stroke", "white")
-    .attr("stroke-width", 1.5);
-    
+  const bisect = d3.bisector(d => d.date).center;
+  svg.append("rect")
+    .attr("x", margin.left)
+    .attr("y", margin.top)
+    .attr("width", width - margin.left - margin.right)
+    .attr("height", height - margin.top - margin.bottom)
+    .attr("fill", "transparent")
+    .on("mousemove", function(event) {
+      const [mx] = d3.pointer(event);
+      const date = x.invert(mx);
+      const rows = series
+        .map(s => ({ s, point: s.data[bisect(s.data, date)] }))
+        .filter(r => r.point)
+        .sort((a, b) => b.point.val - a.point.val);
+      if (!rows.length) return;
+
+      const cx = x(rows[0].point.date);
+      crosshair.style("display", null).attr("x1", cx).attr("x2", cx);
+      readout
+        .style("display", null)
+        .style("left", `${cx > width / 2 ? cx - 8 : cx + 8}px`)
+        .style("transform", cx > width / 2 ? "translateX(-100%)" : null)
+        .html(`<strong>${d3.timeFormat("%b %Y")(rows[0].point.date)}</strong>`);
+      readout.selectAll("div.readout-row")
+        .data(rows)
+        .join("div")
+        .attr("class", "readout-row")
+        .call(row => row.append("span").attr("class", "swatch").style("background", r => r.s.color))
+        .append("span")
+        .text(r => `${r.s.name}: ${r.point.val.toFixed(2)} ${unit}`);
+    })
+    .on("mouseleave", () => {
+      crosshair.style("display", "none");
+      readout.style("display", "none");
+    });
 
-  //tamperture text
-  markerGroup.append("text")
-    .attr("class", "sync-temp-label")
-    .attr("y", 15)
-    .attr("text-anchor", "middle")
-    .style("font-size", "10px")
-    .style("font-weight", "600")
-    .style("fill", "#1e3a8a");
+  d3.select(legend).selectAll("span.comparison-legend__item")
+    .data(series)
+    .join(enter => enter.append("span")
+      .attr("class", "comparison-legend__item")
+      .call(item => item.append("span").attr("class", "swatch"))
+      .call(item => item.append("span").attr("class", "comparison-legend__name")))
+    .call(item => item.select(".swatch").style("background", d => d.color))
+    .call(item => item.select(".comparison-legend__name").text(d => d.name));
+
+  container.chartMeta = { x };
+  syncComparisonChart(+document.getElementById('time-slider').value);
+}
 
-  // Attach metadata to DOM for sync function
-  container.chartMeta = { x, y, data};
+// Moves the comparison chart's time line to the slider position
+function syncComparisonChart(timeIndex) {
+  const container = document.getElementById('comparison-chart');
+  const meta = container?.chartMeta;
+  const date = timePoints[timeIndex] && dateParser(timePoints[timeIndex]);
+  if (!meta || !date) return;
+
+  d3.select(container).select('.comparison-time-line')
+    .style("display", null)
+    .attr("x1", meta.x(date))
+    .attr("x2", meta.x(date));
 }
 
-// 3. Sync Logic (Called by renderHeatmap)
-function updateChartsSync(timeIndex) {
-  const containers = document.querySelectorAll('.chart-container');
-  
-  containers.forEach(container => {
-    const meta = container.chartMeta;
-    if (!meta) return;
+// Series relative to its mean over the baseline period (first year if the period isn't covered)
+function normalizeSeries(data) {
+  const inBaseline = d => d.date.getFullYear() >= baselinePeriod.startYear && d.date.getFullYear() <= baselinePeriod.endYear;
+  let reference = data.filter(inBaseline);
+  if (!reference.length) reference = data.slice(0, 12);
 
-    const { x, y, data } = meta;
-    const currentPoint = data[timeIndex];
+  const mean = d3.mean(reference, d => d.val);
+  return data.map(d => ({ ...d, val: d.val - mean }));
+}
 
-    if (currentPoint) {
-      const svg = d3.select(container).select('svg');
-      const marker = svg.select('.sync-marker-group');
+// --- Country Ranking ---
 
-      marker
-        .style("display", "block")
-        .attr("transform", `translate(${x(currentPoint.date)}, ${y(currentPoint.val)})`);
+// Sortable table of every country: mean and trend over the whole series (current
+// mode and unit), anomaly at the slider's time step. Only computed while open.
+function setupRankingTable() {
+  const panel = document.getElementById('ranking-panel');
+  panel.addEventListener('toggle', () => {
+    if (!panel.open) return;
+    if (rankingRows) syncRankingTable(+document.getElementById('time-slider').value);
+    else refreshRankingTable();
+  });
 
-      const tempValue = currentPoint.val.toFixed(2);
-      const unit = isAnomalyMode ? "°C" : "K";
-      // const dateStr = d3.timeFormat("%b %Y")(currentPoint.date);
+  d3.select(panel).selectAll('th[data-sort]').on('click', function() {
+    const key = this.dataset.sort;
+    rankingSort = {
+      key,
+      descending: rankingSort.key === key ? !rankingSort.descending : key !== 'name'
+    };
+    renderRankingRows();
+  });
+}
 
-      //update tamperture
-      marker.select(".sync-temp-label")
-        .text(`${tempValue} ${unit}`);
-    }
+// Recomputes mean and trend of every country (after a mode or settings change)
+async function refreshRankingTable() {
+  const panel = document.getElementById('ranking-panel');
+  rankingRows = null;
+  if (!panel?.open || !worldCountries || !rawCoords.length) return;
+
+  panel.querySelector('.ranking-caption').textContent = 'Computing…';
+  try {
+    await ensureAllFrames();
+  } catch (err) {
+    console.error('Failed to load frames for the ranking:', err);
+    return;
+  }
+
+  rankingRows = worldCountries.features.map(feature => {
+    const series = displaySeries(calculateCountryTrend(feature), !isAnomalyMode);
+    const trend = series && series.length ? computeTrendStats(series) : null;
+    return {
+      feature,
+      id: getCountryId(feature),
+      name: getCountryName(feature),
+      mean: series && series.length ? d3.mean(series, d => d.val) : NaN,
+      anomaly: NaN,
+      trend: trend ? trend.perDecade : NaN
+    };
+  });
+  syncRankingTable(+document.getElementById('time-slider').value);
+}
+
+// Anomaly column for one time step (vs the baseline, whatever the mode), then re-sort
+function syncRankingTable(timeIndex) {
+  if (!rankingRows || !document.getElementById('ranking-panel').open) return;
+
+  const dateStr = timePoints[timeIndex];
+  const temps = activeDataset.temperatures[dateStr];
+  const baselineTemps = activeDataset.baselineData[dateStr.split('-')[1]];
+  const anomalies = temps && baselineTemps ? Float32Array.from(temps, (v, i) => v - baselineTemps[i]) : null;
+
+  rankingRows.forEach(row => {
+    const anomaly = anomalies ? sampleMean(anomalies, getRegionSample(row.feature)) : undefined;
+    row.anomaly = anomaly === undefined ? NaN : convertDelta(anomaly, temperatureUnit);
+  });
+
+  document.querySelector('#ranking-panel .ranking-caption').textContent =
+    `${rankingRows.length} countries · anomaly ${d3.timeFormat('%b %Y')(dateParser(dateStr))}`;
+  renderRankingRows();
+}
+
+function renderRankingRows() {
+  const panel = document.getElementById('ranking-panel');
+  if (!rankingRows) return;
+
+  // Countries without a value go last in either direction
+  const { key, descending } = rankingSort;
+  const rows = rankingRows.slice().sort((a, b) => {
+    if (key === 'name') return descending ? b.name.localeCompare(a.name) : a.name.localeCompare(b.name);
+    if (Number.isNaN(a[key]) || Number.isNaN(b[key])) return Number.isNaN(a[key]) - Number.isNaN(b[key]);
+    return descending ? b[key] - a[key] : a[key] - b[key];
+  });
+
+  const format = (v, signed) => (Number.isFinite(v) ? `${signed && v >= 0 ? '+' : ''}${v.toFixed(2)}` : '–');
+  d3.select(panel).selectAll('th[data-sort]')
+    .classed('is-sorted', function() { return this.dataset.sort === key; })
+    .classed('is-descending', descending);
+  d3.select(panel).selectAll('.ranking-unit').text(unitSymbol());
+
+  d3.select(panel).select('tbody')
+    .selectAll('tr')
+    .data(rows, d => d.id)
+    .join(enter => enter.append('tr').on('click', (event, d) => focusCountry(d.feature)))
+    .order()
+    .classed('is-selected', d => revealedCountries.has(d.id))
+    .selectAll('td')
+    .data((d, i) => [i + 1, d.name, format(d.mean, isAnomalyMode), format(d.anomaly, true), format(d.trend, true)])
+    .join('td')
+    .text(d => d);
+}
+
+// --- Country Search & Zoom ---
+
+// Type-ahead over the country names (a <datalist>); picking one selects and zooms to it
+function setupCountrySearch() {
+  const input = document.getElementById('country-search');
+  const names = worldCountries.features.map(getCountryName).sort((a, b) => a.localeCompare(b));
+  d3.select('#country-search-list')
+    .selectAll('option')
+    .data(names)
+    .join('option')
+    .attr('value', d => d);
+
+  input.addEventListener('input', () => input.classList.remove('is-invalid'));
+  input.addEventListener('change', () => {
+    const query = input.value.trim();
+    if (!query) return;
+
+    const feature = findCountry(query);
+    input.classList.toggle('is-invalid', !feature);
+    if (!feature) return;
+
+    focusCountry(feature);
+    input.value = '';
   });
 }
 
+// Exact name (any case), or the only country whose name starts with `query`
+function findCountry(query) {
+  const lower = query.toLowerCase();
+  const features = worldCountries.features;
+  const exact = features.find(f => getCountryName(f).toLowerCase() === lower);
+  if (exact) return exact;
+
+  const matches = features.filter(f => getCountryName(f).toLowerCase().startsWith(lower));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Same as clicking the country on the map (if it isn't selected yet), then zooms to it
+function focusCountry(feature) {
+  revealCountry(feature);
+  zoomToFeature(feature);
+  renderRankingRows();
+}
+
+// Zooms (and on the globe, rotates) the map so the feature fills most of it
+function zoomToFeature(feature, padding = 0.8) {
+  if (PROJECTIONS[projectionId].draggable) {
+    const [lon, lat] = d3.geoCentroid(feature);
+    projection.rotate([-lon, -lat]);
+    updateProjection();
+  }
+
+  const [[x0, y0], [x1, y1]] = featureScreenBounds(feature);
+  if (![x0, y0, x1, y1].every(Number.isFinite)) return;
+
+  const [minK, maxK] = zoomBehavior.scaleExtent();
+  const fit = padding / Math.max((x1 - x0) / MAP_WIDTH, (y1 - y0) / MAP_HEIGHT);
+  const k = Math.max(minK, Math.min(maxK, fit));
+  const transform = d3.zoomIdentity
+    .translate(MAP_WIDTH / 2, MAP_HEIGHT / 2)
+    .scale(k)
+    .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+
+  d3.select('#overlay-container').transition().duration(750).call(zoomBehavior.transform, transform);
+}
+
+// Screen bounding box of a feature. Flat projections cut the map at the antimeridian,
+// so a feature crossing it (Russia, Fiji) would span the whole width: it is fitted
+// on the side holding most of its longitudes instead.
+function featureScreenBounds(feature) {
+  const [[west, south], [east, north]] = d3.geoBounds(feature);
+  if (projection.clipAngle() || west <= east) return geoPath.bounds(feature);
+
+  const [boxWest, boxEast] = 180 - west >= east + 180 ? [west, 180] : [-180, east];
+  return geoPath.bounds(lonLatBox(boxWest, south, boxEast, north));
+}
+
+// Back to the whole map (and the globe's initial rotation)
+function resetView() {
+  if (PROJECTIONS[projectionId].draggable) {
+    projection = createProjection(projectionId, MAP_WIDTH, MAP_HEIGHT);
+    updateProjection();
+  }
+  d3.select('#overlay-container').transition().duration(750).call(zoomBehavior.transform, d3.zoomIdentity);
+}
+
 // --- Helpers ---
 
-// Calculate and render stats (Including Seasonal)
-function updateCountryStats(statsContainer, data) {
+// Mean of per-grid-point values over a region sample (its interpolation weights, or area weights)
+function sampleMean(values, sample) {
+  if (!sample.weights) return weightedMean(values, pointWeights, sample.indices);
+
+  let sum = 0;
+  let weightSum = 0;
+  sample.indices.forEach((idx, k) => {
+    if (Number.isNaN(values[idx])) return;
+    sum += values[idx] * sample.weights[k];
+    weightSum += sample.weights[k];
+  });
+  return weightSum > 0 ? sum / weightSum : undefined;
+}
+
+// Data value -> display unit; absolute values are Kelvin, everything else a difference
+function toDisplayUnit(value, absolute) {
+  return absolute ? convertAbsolute(value, temperatureUnit) : convertDelta(value, temperatureUnit);
+}
+
+// Copy of a series ([{ date, val, ... }]) in the display unit
+function displaySeries(data, absolute) {
+  return data && data.map(d => ({ ...d, val: toDisplayUnit(d.val, absolute) }));
+}
+
+function unitSymbol() {
+  return TEMPERATURE_UNITS[temperatureUnit].symbol;
+}
+
+// Trend of a monthly series per decade (in the series' unit), with 95% CI and Mann–Kendall significance
+function computeTrendStats(data) {
+  const xs = data.map(d => d.date.getFullYear() + (d.date.getMonth() + 0.5) / 12);
+  let ys = data.map(d => d.val);
+  if (deseasonalizeTrend) {
+    ys = removeSeasonalCycle(ys, data.map(d => d.date.getMonth()));
+  }
+
+  const fit = (trendMethod === 'theil-sen' ? theilSenTrend : linearTrend)(xs, ys);
+  if (!fit) return null;
+
+  const first = 0;
+  const last = data.length - 1;
+  return {
+    perDecade: fit.slope * 10,
+    ciLow: fit.ciLow * 10,
+    ciHigh: fit.ciHigh * 10,
+    nEff: fit.nEff,
+    mannKendall: mannKendall(ys),
+    series: deseasonalizeTrend ? data.map((d, i) => ({ date: d.date, val: ys[i] })) : null,
+    fitLine: [
+      { date: data[first].date, val: fit.intercept + fit.slope * xs[first] },
+      { date: data[last].date, val: fit.intercept + fit.slope * xs[last] }
+    ]
+  };
+}
+
+// Calculate and render stats (Including Seasonal and Trend)
+function updateCountryStats(statsContainer, data, trend = null, exceedance = null) {
   if (!data || data.length === 0) {
     statsContainer.style.display = 'none';
     return;
@@ -743,7 +3147,7 @@ function updateCountryStats(statsContainer, data) {
   const min = d3.min(values);
   const max = d3.max(values);
   const avg = d3.mean(values);
-  const unit = isAnomalyMode ? "°C" : "K";
+  const unit = unitSymbol();
 
   // 2. Seasonal Stats
   const seasons = {
@@ -784,12 +3188,54 @@ function updateCountryStats(statsContainer, data) {
   statsContainer.querySelector('.val-summer').textContent = getAvg(seasons.Summer);
   statsContainer.querySelector('.val-autumn').textContent = getAvg(seasons.Autumn);
   statsContainer.querySelector('.val-winter').textContent = getAvg(seasons.Winter);
+
+  // Exceedance: share of the area above the threshold (exceedance views only)
+  const exceedanceRow = statsContainer.querySelector('.stats-row.exceedance');
+  if (exceedanceRow) {
+    // Months without data (e.g. no baseline climatology) are left out
+    const valid = exceedance?.filter(d => !Number.isNaN(d.val));
+    exceedanceRow.hidden = !valid?.length;
+    if (valid?.length) {
+      const peak = valid.reduce((a, b) => (b.val > a.val ? b : a));
+      exceedanceRow.querySelector('.val-exceed-mean').textContent = `${d3.mean(valid, d => d.val).toFixed(0)}%`;
+      exceedanceRow.querySelector('.val-exceed-max').textContent = `${peak.val.toFixed(0)}%`;
+      exceedanceRow.querySelector('.val-exceed-max').title = d3.timeFormat('%b %Y')(peak.date);
+      exceedanceRow.querySelector('.val-exceed-months').textContent = valid.filter(d => d.val > 0).length;
+      exceedanceRow.title = `Area above ${thresholdLabel()}`;
+    }
+  }
+
+  // Trend
+  const signed = v => `${v >= 0 ? '+' : ''}${v.toFixed(2)}`;
+  const trendEl = statsContainer.querySelector('.val-trend');
+  const ciEl = statsContainer.querySelector('.val-trend-ci');
+  const mkEl = statsContainer.querySelector('.val-mk');
+  if (!trendEl) return;
+
+  if (!trend) {
+    trendEl.textContent = ciEl.textContent = mkEl.textContent = '-';
+    return;
+  }
+
+  trendEl.textContent = `${signed(trend.perDecade)}${unitSymbol()}`;
+  trendEl.title = `${trendMethod === 'theil-sen' ? 'Theil–Sen' : 'Least-squares'} trend per decade` +
+    (deseasonalizeTrend ? ', seasonal cycle removed' : '');
+  ciEl.textContent = `${signed(trend.ciLow)}…${signed(trend.ciHigh)}`;
+  ciEl.title = `Corrected for lag-1 autocorrelation (effective sample size ${Math.round(trend.nEff)})`;
+
+  const mk = trend.mannKendall;
+  const significant = mk && mk.p < 0.05;
+  mkEl.textContent = !mk ? '-' : mk.p < 0.001 ? 'p<0.001' : `p=${mk.p.toFixed(3)}`;
+  mkEl.title = `${significant ? 'Significant' : 'Not significant'} at the 5% level (corrected for lag-1 autocorrelation)`;
+  mkEl.classList.toggle('is-significant', Boolean(significant));
 }
 
 function removeFromSelectionList(id) {
   const item = document.querySelector(`li[data-country-id="${id}"]`);
   if (item) {
     item.remove();
+    drawComparisonChart();
+    scheduleUrlStateUpdate();
   }
 }
 
@@ -803,6 +3249,18 @@ function updateBorderStyle(countryId, isRevealed) {
 }
 
 window.removeCountry = function(id) {
+  if (pins.delete(id)) {
+    updatePinMarkers();
+    removeFromSelectionList(id);
+    return;
+  }
+
+  if (customRegions.delete(id)) {
+    updateCustomRegionOutlines();
+    removeFromSelectionList(id);
+    return;
+  }
+
   revealedCountries.delete(id);
 
   overlayLayer
@@ -826,26 +3284,21 @@ function setupTooltip() {
   window.isOverCountry = false;
   window.currentMouseLonLat = null;
 
+  window.hoveredCountryName = null;
+
   // Listen to mousemove on the entire overlay container
   d3.select('#overlay-container').on('mousemove', function(event) {
-    // Get mouse position in SVG coordinates
-    const [mx, my] = d3.pointer(event);
-    // Account for zoom transform
-    const inverted = currentTransform.invert([mx, my]);
-    // Convert to lon/lat
-    const lonLat = projection.invert(inverted);
+    // Mouse position in SVG coordinates -> lon/lat (zoom accounted for)
+    const lonLat = invertPoint(d3.pointer(event));
     
     if (lonLat) {
       const lon = lonLat[0].toFixed(2);
       const lat = lonLat[1].toFixed(2);
       window.currentMouseLonLat = { lon, lat };
-      
-      // If not over a country, show only lon/lat in tooltip
-      if (!window.isOverCountry) {
-        tooltip
-          .style('opacity', 1)
-          .html(`Lon: ${lon}°, Lat: ${lat}°`);
-      }
+
+      tooltip
+        .style('opacity', 1)
+        .html(tooltipContent());
     }
     
     tooltip
@@ -861,6 +3314,90 @@ function setupTooltip() {
   });
 }
 
+// Country name (when hovering one), lon/lat and the map value under the cursor
+function tooltipContent() {
+  const lonLat = window.currentMouseLonLat;
+  const lines = [];
+
+  if (window.isOverCountry) lines.push(`<strong>${window.hoveredCountryName}</strong>`);
+  if (lonLat) {
+    lines.push(`Lon: ${lonLat.lon}°, Lat: ${lonLat.lat}°`);
+
+    if (gridLookup) lines.push(...gridValueLines(+lonLat.lon, +lonLat.lat));
+  }
+  if (window.isOverCountry) lines.push("Click to reveal trends");
+
+  return lines.join('<br/>');
+}
+
+// Tooltip lines for the grid cell under the cursor at the current time step
+function gridValueLines(lon, lat) {
+  const lines = [];
+  const unit = unitSymbol();
+  const signed = v => {
+    const shown = convertDelta(v, temperatureUnit);
+    return `${shown >= 0 ? '+' : ''}${shown.toFixed(2)} ${unit}`;
+  };
+  // Always K and °C (plus °F when that is the display unit)
+  const absolute = v => {
+    const text = `${v.toFixed(2)} K (${convertAbsolute(v, 'C').toFixed(2)} °C)`;
+    return temperatureUnit === 'F' ? `${text}, ${convertAbsolute(v, 'F').toFixed(2)} °F` : text;
+  };
+
+  if (mapMode === 'trend' && currentMapValues) {
+    const rate = sampleGrid(currentMapValues, lon, lat);
+    if (rate !== undefined) lines.push(`Warming rate: ${signed(rate)}/decade`);
+  }
+  if (mapMode === 'exceedance-count' && currentMapValues) {
+    const months = sampleGrid(currentMapValues, lon, lat);
+    if (months !== undefined) lines.push(`Months above ${thresholdLabel()}: ${Math.round(months)}`);
+  }
+
+  const dateStr = timePoints[+document.getElementById('time-slider').value];
+  const temps = activeDataset?.temperatures[dateStr];
+  const value = temps ? sampleGrid(temps, lon, lat) : undefined;
+  if (value === undefined) return lines;
+
+  lines.push(`Value: ${absolute(value)}`);
+
+  const month = dateStr.split('-')[1];
+  const baselineTemps = activeDataset.baselineData[month];
+  const baseValue = baselineTemps ? sampleGrid(baselineTemps, lon, lat) : undefined;
+  if (baseValue !== undefined) {
+    lines.push(`Anomaly: ${signed(value - baseValue)}`);
+    lines.push(`Baseline (${d3.timeFormat('%b')(dateParser(dateStr))} ${formatBaseline(baselinePeriod)}): ${absolute(baseValue)}`);
+  }
+
+  if (compareDataset) {
+    const compareTemps = compareDataset.temperatures[dateStr];
+    const compareValue = compareTemps ? sampleGrid(compareTemps, lon, lat) : undefined;
+    if (compareValue !== undefined) {
+      lines.push(`Δ ${compareDataset.scenario || compareDataset.label}: ${signed(compareValue - value)}`);
+    }
+  }
+  return lines;
+}
+
+// Value of a per-grid-point array at lon/lat (see TOOLTIP_SAMPLING), undefined if no data
+function sampleGrid(values, lon, lat) {
+  if (TOOLTIP_SAMPLING === 'nearest') {
+    const v = values[gridLookup.nearest(lon, lat)];
+    return Number.isFinite(v) ? v : undefined;
+  }
+
+  // Bilinear weights, renormalized over the neighbours that have data
+  const { indices, weights } = gridLookup.bilinear(lon, lat);
+  let sum = 0;
+  let weightSum = 0;
+  indices.forEach((index, k) => {
+    const v = values[index];
+    if (!Number.isFinite(v)) return;
+    sum += v * weights[k];
+    weightSum += weights[k];
+  });
+  return weightSum > 0 ? sum / weightSum : undefined;
+}
+
 function getCountryId(feature) {
   return (
     feature.properties?.iso_a3 ||
@@ -0,0 +1,34 @@
+/* --- START OF FILE units.js --- */
+
+// Display units for temperatures. The data stays in Kelvin: absolute values
+// are K, anomalies, scenario differences and trends are K (= °C) differences.
+
+export const TEMPERATURE_UNITS = {
+  K: { label: 'Kelvin', symbol: 'K' },
+  C: { label: 'Celsius', symbol: '°C' },
+  F: { label: 'Fahrenheit', symbol: '°F' }
+};
+
+// Absolute temperature in Kelvin -> `unit`
+export function convertAbsolute(kelvin, unit) {
+  if (unit === 'C') return kelvin - 273.15;
+  if (unit === 'F') return (kelvin - 273.15) * 1.8 + 32;
+  return kelvin;
+}
+
+// Temperature difference in K -> `unit` (no offset, only the degree size changes)
+export function convertDelta(delta, unit) {
+  return unit === 'F' ? delta * 1.8 : delta;
+}
+
+// Inverse of convertAbsolute: a temperature typed in `unit` -> Kelvin
+export function toKelvin(value, unit) {
+  if (unit === 'C') return value + 273.15;
+  if (unit === 'F') return (value - 32) / 1.8 + 273.15;
+  return value;
+}
+
+// Inverse of convertDelta
+export function deltaToKelvin(delta, unit) {
+  return unit === 'F' ? delta / 1.8 : delta;
+}